@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * The principal that GatewayStrategy logs users in as when they have no
+ * single sign-on session. It is a plain object so that it survives Passport
+ * serialise/deserialise of the user into the session unchanged.
+ */
+const ANONYMOUS_NAME = "anonymous-user";
+
+/**
+ * Create the anonymous principal, { casAnonymous: true, name }.
+ */
+function createPrincipal(name) {
+  return {
+    casAnonymous: true,
+    name: name || ANONYMOUS_NAME
+  };
+}
+
+/**
+ * True when user is the anonymous principal. Also recognises the plain
+ * "anonymous-user" string that older versions saved in sessions.
+ */
+function isAnonymous(user) {
+  if (user === ANONYMOUS_NAME) {
+    return true;
+  }
+  return !!user && typeof user === "object" && user.casAnonymous === true;
+}
+
+/**
+ * Middleware adding req.isAnonymous(), true when the logged in user is the
+ * anonymous principal.
+ */
+function anonymousHelper() {
+  return function anonymousMiddleware(req, res, next) {
+    req.isAnonymous = () => isAnonymous(req.user);
+    next();
+  };
+}
+
+module.exports = {
+  createPrincipal: createPrincipal,
+  isAnonymous: isAnonymous,
+  anonymousHelper: anonymousHelper
+};
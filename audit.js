@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * Structured events for every authentication step, emitted on an
+ * EventEmitter given to the strategies, route handlers, getProxyTicket and
+ * proxyTicketHelper as the `events` option (defaultEvents when not set).
+ *
+ * Every event is emitted both under its own name and as "event", with
+ * { type, time, ... } and where it applies latency (ms), a redacted ticket,
+ * the service and the user:
+ *
+ *   login.redirect      user sent to the CAS server to log in (or gateway)
+ *   ticket.validated    the CAS server accepted the ticket
+ *   validation.failed   the ticket was rejected (code is the CAS code) or
+ *                       could not be validated (code is the error name)
+ *   gateway.anonymous   gateway attempts used up, user is anonymous
+ *   pgt.received        the CAS server delivered a proxy granting ticket
+ *   proxyTicket.issued  a proxy ticket was issued for a target service
+ *   proxyTicket.failed  a proxy ticket could not be issued
+ *   logout              the user logged out
+ *   slo.received        Single Logout request from the CAS server
+ *   token.issued        a JWT was issued, see jwt-tokens.js
+ *   token.rejected      a JWT was not accepted
+ *   token.revoked       the JWTs of a session were revoked
+ *
+ * Listener errors are logged and never break the authentication.
+ */
+const EventEmitter = require("events");
+const defaultLogger = require("./logger").defaultLogger;
+const redactTicket = require("./redact").redactTicket;
+
+const defaultEvents = new EventEmitter();
+
+/**
+ * Emit an event, the ticket in details is redacted. Listener errors are
+ * logged with log, see logger.js.
+ */
+function emitEvent(emitter, type, details, log) {
+  const event = Object.assign(
+    { type: type, time: new Date().toISOString() },
+    details
+  );
+  if (event.ticket !== undefined) {
+    event.ticket = redactTicket(event.ticket);
+  }
+
+  // A failing listener of the type must not keep the event from "event"
+  [type, "event"].forEach(name => {
+    try {
+      (emitter || defaultEvents).emit(name, event);
+    } catch (err) {
+      (log || defaultLogger).warn(
+        { err: err },
+        "CAS event listener failed for " + type
+      );
+    }
+  });
+}
+
+/**
+ * Milliseconds since start, a Date.now() value.
+ */
+function since(start) {
+  return Date.now() - start;
+}
+
+/**
+ * The code to report for a failed validation, the CAS failure code when
+ * there is one.
+ */
+function failureCode(err) {
+  return (err && (err.code || err.name)) || "UNKNOWN";
+}
+
+module.exports = {
+  defaultEvents: defaultEvents,
+  emitEvent: emitEvent,
+  since: since,
+  failureCode: failureCode
+};
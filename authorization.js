@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ * Authorization providers, called by the login flow after the CAS server has
+ * validated the ticket to decide if the user may use the application.
+ *
+ * A provider is an object with
+ *   authorize(principal) -> Promise resolving to the user saved in
+ *                           req.session.authUser, or null/false when the
+ *                           user is not authorized
+ * where principal is { user, attributes, pgtIou } from the validation.
+ *
+ * The user object should have a username, and may have roles and groups
+ * (lists of strings) for requireRole and requireGroup in the route handlers.
+ */
+const logger = require("./logger");
+
+function _asList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Look the user up in LDAP, the behaviour of getRedirectAuthenticatedUser
+ * before providers. Users not found are not authorized.
+ *
+ * Options:
+ *   ldapClient      client with searchOne(base, searchOptions), e.g. kth-node-ldap
+ *   ldapConfig      { base, filter, filterReplaceHolder, scope, userattrs, searchlimit, searchtimeout }
+ *   unpackLdapUser  function(ldapUser, pgtIou) returning the user (or a promise)
+ *   logger          see logger.js
+ */
+function ldapProvider(options) {
+  const log = logger.createLogger(options.logger);
+  const ldapClient = options.ldapClient;
+  const ldapConfig = options.ldapConfig;
+  const unpackLdapUser = options.unpackLdapUser;
+
+  if (!ldapClient || typeof ldapClient.searchOne !== "function") {
+    throw new TypeError("ldapProvider requires an ldapClient");
+  }
+  if (!ldapConfig || typeof ldapConfig.filter !== "string") {
+    throw new TypeError("ldapProvider requires an ldapConfig with a filter");
+  }
+  if (typeof unpackLdapUser !== "function") {
+    throw new TypeError("ldapProvider requires an unpackLdapUser function");
+  }
+
+  function authorize(principal) {
+    const searchOptions = {
+      scope: ldapConfig.scope,
+      filter: ldapConfig.filter.replace(
+        ldapConfig.filterReplaceHolder,
+        principal.user
+      ),
+      attributes: ldapConfig.userattrs,
+      sizeLimits: ldapConfig.searchlimit,
+      timeLimit: ldapConfig.searchtimeout
+    };
+
+    return ldapClient
+      .searchOne(ldapConfig.base, searchOptions)
+      .then(ldapUser => {
+        log.debug({ searchEntry: ldapUser }, "LDAP search result");
+        if (!ldapUser) {
+          return null;
+        }
+        return unpackLdapUser(ldapUser, principal.pgtIou);
+      });
+  }
+
+  return {
+    authorize: authorize
+  };
+}
+
+/**
+ * Build the user from the attributes released by the CAS server, needs
+ * protocol "cas3" or "saml11" on the strategy.
+ *
+ * Options:
+ *   groupsAttribute  attribute with the groups of the user, default memberOf
+ *   rolesAttribute   attribute with the roles of the user, optional
+ *   requiredGroups   only authorize members of any of these groups, optional
+ */
+function attributeProvider(options) {
+  options = options || {};
+
+  const groupsAttribute = options.groupsAttribute || "memberOf";
+  const rolesAttribute = options.rolesAttribute;
+  const requiredGroups = options.requiredGroups;
+
+  function authorize(principal) {
+    const attributes = principal.attributes || {};
+    const groups = _asList(attributes[groupsAttribute]);
+
+    if (
+      requiredGroups &&
+      !requiredGroups.some(group => groups.indexOf(group) >= 0)
+    ) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.resolve({
+      username: principal.user,
+      attributes: attributes,
+      groups: groups,
+      roles: rolesAttribute ? _asList(attributes[rolesAttribute]) : [],
+      pgtIou: principal.pgtIou
+    });
+  }
+
+  return {
+    authorize: authorize
+  };
+}
+
+/**
+ * Authorize a fixed set of users, e.g. for small admin tools.
+ *
+ * Options:
+ *   users  list of usernames, or an object of username -> list of roles
+ */
+function allowListProvider(options) {
+  const users = Array.isArray(options.users)
+    ? options.users.reduce((roles, username) => {
+        roles[username] = [];
+        return roles;
+      }, {})
+    : options.users;
+
+  if (!users || typeof users !== "object") {
+    throw new TypeError("allowListProvider requires a list of users");
+  }
+
+  function authorize(principal) {
+    if (!Object.prototype.hasOwnProperty.call(users, principal.user)) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.resolve({
+      username: principal.user,
+      groups: [],
+      roles: _asList(users[principal.user]),
+      pgtIou: principal.pgtIou
+    });
+  }
+
+  return {
+    authorize: authorize
+  };
+}
+
+/**
+ * True when the list authUser[key] contains any of the values.
+ */
+function hasAny(authUser, key, values) {
+  const list = _asList(authUser && authUser[key]);
+  return values.some(value => list.indexOf(value) >= 0);
+}
+
+const FORBIDDEN_PAGE =
+  '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>403 Forbidden</title></head>' +
+  "<body><h1>403 Forbidden</h1><p>You are logged in, but you do not have access to this page.</p></body></html>";
+
+/**
+ * Default response when a logged in user lacks access, an HTML page for
+ * browsers and JSON for API clients.
+ */
+function sendForbidden(req, res) {
+  res.status(403).format({
+    html: () => res.send(FORBIDDEN_PAGE),
+    json: () => res.send({ error: "Forbidden" }),
+    default: () => res.send("403 Forbidden")
+  });
+}
+
+module.exports = {
+  ldapProvider: ldapProvider,
+  attributeProvider: attributeProvider,
+  allowListProvider: allowListProvider,
+  hasAny: hasAny,
+  sendForbidden: sendForbidden
+};
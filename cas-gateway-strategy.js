@@ -3,16 +3,36 @@
 const PassportStrategy = require("passport-strategy");
 const util = require("util");
 const url = require("url");
-const request = require("request");
-const xml2js = require("xml2js");
-const log = require("kth-node-log");
+const casResponseParser = require("./cas-response-parser");
+const logger = require("./logger");
+const ticketSessionIndex = require("./ticket-session-index");
+const parseCasResponse = require("./cas-pgt-strategy").parseCasResponse;
+const errors = require("./errors");
+const saml11 = require("./saml11");
+const transport = require("./transport");
+const endpoints = require("./endpoints");
+const verifier = require("./verify");
+const safeRedirect = require("./safe-redirect");
+const anonymous = require("./anonymous");
+const gatewayState = require("./gateway-state");
+const serviceUrlBuilder = require("./service-url");
+const audit = require("./audit");
 
 const defaults = {
   casUrl: "",
-  parseCasXml: xml2js.parseString,
-  request: request,
+  parser: casResponseParser,
+  transport: transport.defaultTransport,
   maxAttempts: 2,
-  anonymous: "anonymous-user"
+  attemptTtl: 60,
+  anonymous: "anonymous-user",
+  protocol: "cas2"
+};
+
+// ticket validation endpoint per supported protocol version
+const validateEndpoints = {
+  cas2: "serviceValidate",
+  cas3: "p3ServiceValidate",
+  saml11: "samlValidate"
 };
 
 function GatewayStrategy(options, verify) {
@@ -24,33 +44,55 @@ function GatewayStrategy(options, verify) {
     verify = options;
     options = {
       casUrl: defaults.casUrl,
-      parseCasXml: defaults.parseCasXml,
-      request: defaults.request,
+      parser: defaults.parser,
+      transport: defaults.transport,
       maxAttempts: defaults.maxAttempts,
-      anonymous: defaults.anonymous
+      attemptTtl: defaults.attemptTtl,
+      anonymous: defaults.anonymous,
+      protocol: defaults.protocol
     };
   }
 
   this.name = "cas-gateway";
   this.verify = verify;
-  this.parseCasXml = options.parseCasXml || defaults.parseCasXml;
-  this.request = options.request || defaults.request;
+  this.parser = options.parser || defaults.parser;
+  this.transport = options.transport || defaults.transport;
+  // Name of the anonymous principal, see anonymous.js
   this.anonymous = options.anonymous || defaults.anonymous;
   this.maxAttempts = options.maxAttempts || defaults.maxAttempts;
+  // Seconds before the gateway attempts for a return URL are forgotten
+  this.attemptTtl = options.attemptTtl || defaults.attemptTtl;
+  this.protocol = options.protocol || defaults.protocol;
+  this.ticketSessionIndex =
+    options.ticketSessionIndex || ticketSessionIndex.defaultIndex;
   this.casUrl = options.casUrl;
-  this.loginUrl = url.resolve(this.casUrl, "/login");
-  this.serviceValidateUrl = url.resolve(this.casUrl, "/serviceValidate");
+  this.redirectPolicy = options.redirectPolicy || safeRedirect.defaultPolicy;
+  this.log = logger.createLogger(options.logger);
+  this.serviceUrlBuilder = serviceUrlBuilder.createServiceUrlBuilder({
+    serverBaseURL: options.serverBaseURL,
+    trustProxy: options.trustProxy,
+    allowedOrigins: options.allowedOrigins,
+    redirectPolicy: this.redirectPolicy,
+    logger: this.log
+  });
+  this.events = options.events || audit.defaultEvents;
+
+  if (!validateEndpoints[this.protocol]) {
+    throw new TypeError(
+      "GatewayStrategy does not support protocol " + this.protocol
+    );
+  }
 
   if (typeof this.verify !== "function") {
     throw new TypeError("GatewayStrategy requires a verify callback");
   }
 
-  if (typeof this.parseCasXml !== "function") {
-    throw new TypeError("GatewayStrategy requires xml2js");
+  if (!this.parser || typeof this.parser.parseServiceResponse !== "function") {
+    throw new TypeError("GatewayStrategy requires a CAS response parser");
   }
 
-  if (typeof this.request !== "function") {
-    throw new TypeError("GatewayStrategy requires request");
+  if (!this.transport || typeof this.transport.request !== "function") {
+    throw new TypeError("GatewayStrategy requires a transport");
   }
 
   if (typeof this.anonymous !== "string") {
@@ -65,49 +107,59 @@ function GatewayStrategy(options, verify) {
     );
   }
 
+  if (typeof this.attemptTtl !== "number" || this.attemptTtl <= 0) {
+    throw new TypeError(
+      "GatewayStrategy requires a positive number of seconds for attempt ttl"
+    );
+  }
+
   if (!this.casUrl) {
     throw new TypeError("GatewayStrategy requires a CAS URL");
   }
 
+  this.endpoints = endpoints.resolveEndpoints(this.casUrl, options.endpoints);
+  this.loginUrl = this.endpoints.login;
+  this.serviceValidateUrl = this.endpoints[validateEndpoints[this.protocol]];
+  this._verifyResult = verifier.createVerifier(this.verify, options);
+
   PassportStrategy.call(this);
 }
 
 util.inherits(GatewayStrategy, PassportStrategy);
 
-function _getProto(headerStr) {
-  if (typeof headerStr !== "string") return undefined;
-
-  const tmp = headerStr.split(",");
-  if (tmp.length <= 0) return undefined;
-
-  return tmp[0].trim();
+/**
+ * The gateway attempts are counted per return URL, i.e. the nextUrl of the
+ * service URL or the service URL itself.
+ */
+function _stateKey(serviceUrl) {
+  return url.parse(serviceUrl, true).query.nextUrl || serviceUrl;
 }
 
 GatewayStrategy.prototype.authenticate = function(req, options) {
-  log.debug("CasGateway: Auth for ticket");
+  this.log.debug("CasGateway: Auth for ticket");
   const ticket = req.query.ticket;
   const loginUrl = url.parse(this.loginUrl, true);
   let serviceUrl;
-
-  if (req.headers["x-forwarded-proto"]) {
-    serviceUrl =
-      _getProto(req.headers["x-forwarded-proto"]) +
-      "://" +
-      req.get("host") +
-      req.originalUrl;
-  } else {
-    serviceUrl =
-      _getProto(req.protocol) + "://" + req.get("host") + req.originalUrl;
+  try {
+    serviceUrl = this.serviceUrlBuilder.serviceUrl(req);
+  } catch (err) {
+    return this.error(err);
   }
 
+  const stateKey = _stateKey(serviceUrl);
+
   if (!ticket) {
-    log.debug("CasGateway: No ticket found");
-    if (req.session.gatewayAttempts === 2) {
-      log.debug(
-        "CasGateway: Reached max number of retries.",
-        req.session.gatewayAttempts
-      );
-      return this.success(this.anonymous);
+    this.log.debug("CasGateway: No ticket found");
+    const attempts = gatewayState.attempts(req.session, stateKey);
+    if (attempts >= this.maxAttempts) {
+      this.log.debug("CasGateway: Reached max number of retries.", attempts);
+      gatewayState.resetAttempts(req.session, stateKey);
+      gatewayState.setAnonymous(req.session, true);
+      this._emit("gateway.anonymous", {
+        service: serviceUrl,
+        attempts: attempts
+      });
+      return this.success(anonymous.createPrincipal(this.anonymous));
     }
 
     delete loginUrl.search;
@@ -117,17 +169,12 @@ GatewayStrategy.prototype.authenticate = function(req, options) {
       service: serviceUrl
     };
 
-    log.debug("CasGateway: serviceUrl=", serviceUrl);
+    this.log.debug("CasGateway: serviceUrl=", serviceUrl);
 
-    if (!req.session.gatewayAttempts) {
-      log.debug(
-        "CasGateway: session.gatewayAttempts is undefined, first auth try"
-      );
-      req.session.gatewayAttempts = 1;
-    } else {
-      req.session.gatewayAttempts += 1;
-      log.debug("CasGateway: Retrying auth", req.session.gatewayAttempts);
-    }
+    this.log.debug(
+      "CasGateway: Auth try",
+      gatewayState.addAttempt(req.session, stateKey, this.attemptTtl)
+    );
 
     return new Promise((resolve, reject) => {
       req.session.save(err => {
@@ -138,54 +185,107 @@ GatewayStrategy.prototype.authenticate = function(req, options) {
         }
       });
     }).then(res => {
+      this._emit("login.redirect", {
+        service: serviceUrl,
+        gateway: true,
+        renew: false
+      });
       return this.redirect(url.format(loginUrl));
     });
   }
 
-  log.debug("CasGateway: Ticket found, resetting session.gatewayAttempts");
-  req.session.gatewayAttempts = 0;
+  this.log.debug("CasGateway: Ticket found, resetting gateway attempts");
+  gatewayState.resetAttempts(req.session, stateKey);
+  gatewayState.setAnonymous(req.session, false);
 
-  this.validateService(ticket, serviceUrl);
+  this.validateService(ticket, serviceUrl, req);
 };
 
-GatewayStrategy.prototype.validateService = function(ticket, serviceUrl) {
+GatewayStrategy.prototype.validateService = function(ticket, serviceUrl, req) {
   const serviceValidateUrl = url.parse(this.serviceValidateUrl, true);
 
+  // The same service URL as in the login redirect, without the ticket
   const parsedServiceUrl = url.parse(serviceUrl, true);
   delete parsedServiceUrl.search;
-  parsedServiceUrl.query = {
-    nextUrl: parsedServiceUrl.query.nextUrl
-  };
+  delete parsedServiceUrl.query.ticket;
 
-  serviceValidateUrl.query = {
-    ticket: ticket,
-    service: url.format(parsedServiceUrl)
+  const service = url.format(parsedServiceUrl);
+  const validationRequest = {
+    url: null,
+    method: "GET"
   };
+  let parse = parseCasResponse;
+
+  if (this.protocol === "saml11") {
+    serviceValidateUrl.query = { TARGET: service };
+    validationRequest.method = "POST";
+    validationRequest.headers = saml11.requestHeaders;
+    validationRequest.body = saml11.buildSamlRequest(ticket);
+    parse = saml11.parseSamlResult;
+  } else {
+    serviceValidateUrl.query = {
+      ticket: ticket,
+      service: service
+    };
+  }
+  validationRequest.url = url.format(serviceValidateUrl);
+
+  const started = Date.now();
+  const emitFailed = err =>
+    this._emit("validation.failed", {
+      ticket: ticket,
+      service: service,
+      code: audit.failureCode(err),
+      latency: audit.since(started)
+    });
 
-  this.request(
-    {
-      url: url.format(serviceValidateUrl),
-      method: "GET"
-    },
-    (err, response, body) => {
-      if (err) {
-        return this.error(err);
-      }
-
-      this.parseResponse(body, (err, username) => {
-        if (err) {
+  this.transport.request(validationRequest).then(
+    response =>
+      parse(response.body, ticket, this.parser, service).then(
+        result => {
+          this._emit("ticket.validated", {
+            ticket: ticket,
+            service: service,
+            user: result.user,
+            renew: false,
+            latency: audit.since(started)
+          });
+          return this._verifyResult(req, result, (err, user, info) => {
+            if (!err && user && req && req.sessionID) {
+              this._indexTicket(ticket, req.sessionID);
+            }
+            this.verified(err, user, info);
+          });
+        },
+        err => {
+          emitFailed(err);
+          // Rejected tickets fail, anything else is an error
+          if (err instanceof errors.CasValidationError) {
+            return this.fail(err);
+          }
           return this.error(err);
         }
-
-        this.verify(
-          { status: true, user: username, ticket: ticket },
-          this.verified.bind(this)
-        );
-      });
+      ),
+    err => {
+      const transportError = new errors.CasTransportError(
+        "Ticket validation failed: " + err.message,
+        { ticket: ticket, service: service, cause: err }
+      );
+      emitFailed(transportError);
+      this.error(transportError);
     }
   );
 };
 
+GatewayStrategy.prototype._emit = function(type, details) {
+  audit.emitEvent(
+    this.events,
+    type,
+    Object.assign({ strategy: this.name }, details),
+    this.log
+  );
+};
+
 GatewayStrategy.prototype.verified = function(err, user, info) {
   if (err) {
     return this.error(err);
@@ -198,51 +298,25 @@ GatewayStrategy.prototype.verified = function(err, user, info) {
   this.success(user, info);
 };
 
-GatewayStrategy.prototype.parseResponse = function(xml, callback) {
-  this.parseCasXml(xml, (err, result) => {
-    if (err) {
-      return callback(err);
-    }
-
-    const response = _prop(result, "cas:serviceResponse");
-    if (!response) {
-      return callback(new Error("Badly formatted response"));
-    }
-
-    const failure = _prop(
-      _head(_prop(response, "cas:authenticationFailure")),
-      "_"
-    );
-    if (failure) {
-      return callback(new Error(failure));
-    }
-
-    const username = _head(
-      _prop(_head(_prop(response, "cas:authenticationSuccess")), "cas:user")
+/**
+ * Remember which session the ticket created, for Single Logout.
+ * A failing index must not prevent the login itself.
+ */
+GatewayStrategy.prototype._indexTicket = function(ticket, sessionId) {
+  this.ticketSessionIndex.set(ticket, sessionId).catch(err => {
+    this.log.warn(
+      { err: err },
+      "CasGateway: Could not index ticket for logout"
     );
-    if (username) {
-      return callback(null, username);
-    }
-
-    return callback(new Error("No username found"));
   });
 };
 
-function _head(array) {
-  if (array && array.length) {
-    return array[0];
-  }
-
-  return null;
-}
-
-function _prop(obj, key) {
-  if (obj && obj[key]) {
-    return obj[key];
-  }
-
-  return null;
-}
+GatewayStrategy.prototype.parseResponse = function(xml, callback) {
+  parseCasResponse(xml, undefined, this.parser).then(
+    result => callback(null, result.user, result.attributes),
+    callback
+  );
+};
 
 module.exports = {
   Strategy: GatewayStrategy
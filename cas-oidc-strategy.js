@@ -0,0 +1,661 @@
+"use strict";
+
+/**
+ * Strategy for CAS servers acting as an OpenID Connect provider. Does the
+ * authorization code flow with PKCE against the /oidc endpoints and hands
+ * verify the same result as Strategy, { user, attributes, ... }, so that
+ * routeHandlers work unchanged.
+ *
+ * Login: redirect to /oidc/authorize, then exchange the code at /oidc/token
+ * and validate the ID token (RS256 signature from the JWKS, iss, aud, azp,
+ * nonce, exp, iat).
+ *
+ * Gateway: with gateway (or useGateway=true as for Strategy) prompt=none is
+ * sent. A user without single sign-on session gets login_required back and
+ * is logged in as the anonymous principal, see anonymous.js.
+ *
+ * Options:
+ *   ssoBaseURL          base URL of the CAS server, e.g. https://login.kth.se
+ *   clientId            the client id registered at the CAS server
+ *   clientSecret        the client secret, not needed for public clients
+ *   issuer              expected iss, default ssoBaseURL + /oidc
+ *   scope               default "openid profile email"
+ *   userClaim           the claim used as user, default sub
+ *   jwks                { keys: [...] } to validate ID tokens with
+ *   jwksFile            file with the JWKS, instead of jwks
+ *                       Without jwks and jwksFile the JWKS is fetched from
+ *                       the oidcJwks endpoint and refetched for unknown keys.
+ *   clockTolerance      seconds of clock skew accepted, default 60
+ *   gateway             always use prompt=none, default false
+ *   renew               always use prompt=login, default false
+ *   anonymous           name of the anonymous principal, default anonymous-user
+ *   name                strategy name, default "cas", or "cas-gateway" with
+ *                       gateway
+ *   serverBaseURL, trustProxy, allowedOrigins, redirectPolicy
+ *                       for the redirect_uri, see service-url.js
+ *   transport, endpoints, events, logger, passReqToCallback, promiseVerify
+ *                       as for Strategy
+ */
+const PassportStrategy = require("passport-strategy");
+const util = require("util");
+const url = require("url");
+const fs = require("fs");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const errors = require("./errors");
+const transport = require("./transport");
+const endpoints = require("./endpoints");
+const verifier = require("./verify");
+const safeRedirect = require("./safe-redirect");
+const anonymous = require("./anonymous");
+const gatewayState = require("./gateway-state");
+const serviceUrlBuilder = require("./service-url");
+const audit = require("./audit");
+const logger = require("./logger");
+const jwt = require("./jwt");
+
+const defaults = {
+  scope: "openid profile email",
+  userClaim: "sub",
+  clockTolerance: 60,
+  anonymous: "anonymous-user"
+};
+
+// Session key for the state of started logins
+const SESSION_KEY = "casOidc";
+// Logins not finished within this many seconds are forgotten
+const STATE_TTL = 600;
+// At most this many logins in progress per session, e.g. several tabs
+const MAX_STATES = 10;
+// Seconds between fetching the JWKS for unknown keys
+const JWKS_REFETCH = 60;
+
+// Errors from the authorization endpoint meaning the user has no single
+// sign-on session, for prompt=none
+const GATEWAY_ERRORS = [
+  "login_required",
+  "interaction_required",
+  "consent_required",
+  "account_selection_required"
+];
+
+// Error codes of the authorization endpoint (RFC 6749 and OIDC Core), any
+// other value is reported as OIDC_ERROR since it comes from the query string
+const AUTHORIZATION_ERRORS = GATEWAY_ERRORS.concat([
+  "invalid_request",
+  "unauthorized_client",
+  "access_denied",
+  "unsupported_response_type",
+  "invalid_scope",
+  "server_error",
+  "temporarily_unavailable",
+  "invalid_request_uri",
+  "invalid_request_object",
+  "request_not_supported",
+  "request_uri_not_supported",
+  "registration_not_supported"
+]);
+
+// Claims of the ID token that are not user attributes
+const PROTOCOL_CLAIMS = [
+  "iss",
+  "aud",
+  "exp",
+  "nbf",
+  "iat",
+  "jti",
+  "nonce",
+  "azp",
+  "at_hash",
+  "c_hash",
+  "s_hash",
+  "sid",
+  "client_id",
+  "state"
+];
+
+function _random() {
+  return jwt.base64UrlEncode(crypto.randomBytes(32));
+}
+
+function OidcStrategy(options, verify) {
+  if (!(this instanceof OidcStrategy)) {
+    return new OidcStrategy(options, verify);
+  }
+
+  options = options || {};
+
+  this.gateway = options.gateway === true;
+  this.renew = options.renew === true;
+  this.name = options.name || (this.gateway ? "cas-gateway" : "cas");
+  this.verify = verify;
+  this.clientId = options.clientId;
+  this.clientSecret = options.clientSecret;
+  this.scope = options.scope || defaults.scope;
+  this.userClaim = options.userClaim || defaults.userClaim;
+  this.clockTolerance =
+    options.clockTolerance !== undefined
+      ? options.clockTolerance
+      : defaults.clockTolerance;
+  // Name of the anonymous principal, see anonymous.js
+  this.anonymous = options.anonymous || defaults.anonymous;
+  this.transport = options.transport || transport.defaultTransport;
+  this.events = options.events || audit.defaultEvents;
+  this.log = logger.createLogger(options.logger);
+  this.redirectPolicy = options.redirectPolicy || safeRedirect.defaultPolicy;
+  this.serviceUrlBuilder = serviceUrlBuilder.createServiceUrlBuilder({
+    serverBaseURL: options.serverBaseURL,
+    trustProxy: options.trustProxy,
+    allowedOrigins: options.allowedOrigins,
+    redirectPolicy: this.redirectPolicy,
+    logger: this.log
+  });
+
+  if (typeof this.verify !== "function") {
+    throw new TypeError("OidcStrategy requires a verify callback");
+  }
+
+  if (!options.ssoBaseURL) {
+    throw new TypeError("OidcStrategy requires a CAS URL");
+  }
+
+  if (!this.clientId || typeof this.clientId !== "string") {
+    throw new TypeError("OidcStrategy requires a client id");
+  }
+
+  if (typeof this.clockTolerance !== "number" || this.clockTolerance < 0) {
+    throw new TypeError(
+      "OidcStrategy requires a number of seconds for clock tolerance"
+    );
+  }
+
+  this.endpoints = endpoints.resolveEndpoints(
+    options.ssoBaseURL,
+    options.endpoints
+  );
+  this.issuer =
+    options.issuer || options.ssoBaseURL.replace(/\/*$/, "") + "/oidc";
+
+  // Shared by the per request copies Passport makes of the strategy. Keys
+  // given in the configuration are never refetched.
+  this._jwks = { keys: null, fetchedAt: 0, fixed: false };
+  if (options.jwks || options.jwksFile) {
+    const jwks =
+      options.jwks || JSON.parse(fs.readFileSync(options.jwksFile, "utf8"));
+    this._jwks.keys = Promise.resolve(_indexKeys(jwks));
+    this._jwks.fixed = true;
+  }
+
+  this._verifyResult = verifier.createVerifier(this.verify, options);
+
+  PassportStrategy.call(this);
+}
+
+util.inherits(OidcStrategy, PassportStrategy);
+
+/**
+ * The RSA signing keys of a JWKS as PEM, by kid.
+ */
+function _indexKeys(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new TypeError("OidcStrategy requires a JWKS with a list of keys");
+  }
+
+  const keys = {};
+  jwks.keys.forEach(jwk => {
+    if (jwk.kty === "RSA" && (!jwk.use || jwk.use === "sig")) {
+      keys[jwk.kid || ""] = jwt.jwkToPem(jwk);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Check if we are requested to perform a gateway signon, as for Strategy.
+ */
+function _useGateway(req) {
+  return (
+    req.useGateway === true || (req.query && req.query.useGateway === "true")
+  );
+}
+
+function _useRenew(req) {
+  return req.useRenew === true || (req.query && req.query.renew === "true");
+}
+
+/**
+ * The redirect_uri: the service URL without the parameters of the
+ * authorization response.
+ */
+OidcStrategy.prototype._redirectUri = function(req) {
+  const parsed = url.parse(this.serviceUrlBuilder.serviceUrl(req), true);
+  delete parsed.search;
+  [
+    "code",
+    "state",
+    "error",
+    "error_description",
+    "iss",
+    "session_state"
+  ].forEach(name => delete parsed.query[name]);
+  return url.format(parsed);
+};
+
+OidcStrategy.prototype._emit = function(type, details) {
+  audit.emitEvent(
+    this.events,
+    type,
+    Object.assign({ strategy: this.name }, details),
+    this.log
+  );
+};
+
+OidcStrategy.prototype.authenticate = function(req) {
+  if (!req.session) {
+    return this.error(new Error("OidcStrategy requires sessions"));
+  }
+
+  const query = req.query || {};
+  if (query.state && (query.code || query.error)) {
+    return this._callback(req);
+  }
+
+  let redirectUri;
+  try {
+    redirectUri = this._redirectUri(req);
+  } catch (err) {
+    return this.error(err);
+  }
+
+  const gateway = this.gateway || _useGateway(req);
+  const renew = !gateway && (this.renew || _useRenew(req));
+  const state = _random();
+  const nonce = _random();
+  const codeVerifier = _random();
+
+  _saveState(req.session, state, {
+    nonce: nonce,
+    codeVerifier: codeVerifier,
+    redirectUri: redirectUri,
+    gateway: gateway,
+    renew: renew,
+    startedAt: Date.now()
+  });
+
+  const authorizeUrl = endpoints.withQuery(this.endpoints.oidcAuthorize, {
+    response_type: "code",
+    client_id: this.clientId,
+    redirect_uri: redirectUri,
+    scope: this.scope,
+    state: state,
+    nonce: nonce,
+    code_challenge: jwt.base64UrlEncode(
+      crypto
+        .createHash("sha256")
+        .update(codeVerifier)
+        .digest()
+    ),
+    code_challenge_method: "S256",
+    prompt: gateway ? "none" : renew ? "login" : undefined
+  });
+
+  this._emit("login.redirect", {
+    service: redirectUri,
+    gateway: gateway,
+    renew: renew
+  });
+
+  // The state has to be in the store before the user comes back
+  const session = req.session;
+  const redirect = () => this.redirect(authorizeUrl);
+  if (typeof session.save === "function") {
+    return session.save(err => (err ? this.error(err) : redirect()));
+  }
+  return redirect();
+};
+
+/**
+ * The user is back from the authorization endpoint with a code or an error.
+ */
+OidcStrategy.prototype._callback = function(req) {
+  const query = req.query;
+  const login = _takeState(req.session, query.state);
+
+  if (!login) {
+    const err = new errors.CasValidationError("Unknown or expired OIDC state", {
+      code: "INVALID_STATE"
+    });
+    this._emit("validation.failed", { code: err.code });
+    return this.fail(err);
+  }
+
+  if (query.error) {
+    if (login.gateway && GATEWAY_ERRORS.indexOf(query.error) >= 0) {
+      this.log.debug("CasOidc: No single sign-on session, anonymous user");
+      gatewayState.setAnonymous(req.session, true);
+      this._emit("gateway.anonymous", { service: login.redirectUri });
+      return this.success(anonymous.createPrincipal(this.anonymous));
+    }
+
+    const err = new errors.CasValidationError(
+      "OIDC authorization failed [" +
+        query.error +
+        "]: " +
+        (query.error_description || ""),
+      {
+        code:
+          AUTHORIZATION_ERRORS.indexOf(query.error) >= 0
+            ? query.error
+            : "OIDC_ERROR",
+        service: login.redirectUri
+      }
+    );
+    this._emit("validation.failed", {
+      service: login.redirectUri,
+      code: err.code
+    });
+    return this.fail(err);
+  }
+
+  if (login.gateway) {
+    gatewayState.setAnonymous(req.session, false);
+  }
+
+  const code = query.code;
+  const started = Date.now();
+  this._exchangeCode(code, login)
+    .then(tokens =>
+      this._validateIdToken(tokens.id_token, login).then(claims => {
+        const result = this._result(claims, tokens, login);
+        this._emit("ticket.validated", {
+          ticket: code,
+          service: login.redirectUri,
+          user: result.user,
+          renew: login.renew,
+          latency: audit.since(started)
+        });
+        return this._verifyResult(req, result, (err, user, info) => {
+          if (err) {
+            return this.error(err);
+          }
+          if (!user) {
+            return this.fail(info);
+          }
+          this.success(user, info);
+        });
+      })
+    )
+    .catch(err => {
+      this._emit("validation.failed", {
+        ticket: code,
+        service: login.redirectUri,
+        code: audit.failureCode(err),
+        latency: audit.since(started)
+      });
+      // Rejected codes and tokens fail, anything else is an error
+      if (err instanceof errors.CasValidationError) {
+        return this.fail(err);
+      }
+      return this.error(err);
+    });
+};
+
+/**
+ * Exchange the code for tokens at the token endpoint.
+ */
+OidcStrategy.prototype._exchangeCode = function(code, login) {
+  const headers = {
+    "content-type": "application/x-www-form-urlencoded",
+    accept: "application/json"
+  };
+  const form = {
+    grant_type: "authorization_code",
+    code: code,
+    redirect_uri: login.redirectUri,
+    code_verifier: login.codeVerifier,
+    client_id: this.clientId
+  };
+  if (this.clientSecret) {
+    headers.authorization =
+      "Basic " +
+      Buffer.from(
+        encodeURIComponent(this.clientId) +
+          ":" +
+          encodeURIComponent(this.clientSecret)
+      ).toString("base64");
+  }
+
+  const details = { ticket: code, service: login.redirectUri };
+  return this.transport
+    .request({
+      url: this.endpoints.oidcToken,
+      method: "POST",
+      headers: headers,
+      body: querystring.stringify(form)
+    })
+    .then(
+      response => {
+        let body;
+        try {
+          body = JSON.parse(response.body);
+        } catch (err) {
+          throw new errors.CasResponseFormatError(
+            "Bad token response format. " + err.message,
+            Object.assign({ response: response.body }, details)
+          );
+        }
+
+        if (body.error || response.statusCode !== 200) {
+          throw new errors.CasValidationError(
+            "Token request failed [" +
+              (body.error || response.statusCode) +
+              "]: " +
+              (body.error_description || ""),
+            Object.assign({ code: body.error || "INVALID_GRANT" }, details)
+          );
+        }
+
+        if (typeof body.id_token !== "string") {
+          throw new errors.CasResponseFormatError(
+            "Token response without id_token",
+            details
+          );
+        }
+        return body;
+      },
+      err => {
+        throw new errors.CasTransportError(
+          "Token request failed: " + err.message,
+          Object.assign({ cause: err }, details)
+        );
+      }
+    );
+};
+
+/**
+ * The signing keys, fetched from the JWKS endpoint unless configured. With
+ * refresh the keys are fetched again, at most once a minute.
+ */
+OidcStrategy.prototype._signingKeys = function(refresh) {
+  const cache = this._jwks;
+  const stale = refresh && Date.now() - cache.fetchedAt > JWKS_REFETCH * 1000;
+  if (cache.keys && (cache.fixed || !stale)) {
+    return cache.keys;
+  }
+
+  cache.fetchedAt = Date.now();
+  cache.keys = this.transport
+    .request({
+      url: this.endpoints.oidcJwks,
+      headers: { accept: "application/json" }
+    })
+    .then(response => _indexKeys(JSON.parse(response.body)))
+    .catch(err => {
+      // Try again on the next login
+      cache.keys = null;
+      throw new errors.CasTransportError(
+        "Could not fetch the JWKS: " + err.message,
+        { cause: err }
+      );
+    });
+  return cache.keys;
+};
+
+OidcStrategy.prototype._keyFor = function(kid) {
+  return this._signingKeys(false).then(keys => {
+    if (keys[kid || ""] || this._jwks.fixed) {
+      return keys[kid || ""];
+    }
+    // The CAS server may have rotated its keys
+    return this._signingKeys(true).then(fresh => fresh[kid || ""]);
+  });
+};
+
+/**
+ * Validate the ID token, resolves to its claims.
+ */
+OidcStrategy.prototype._validateIdToken = function(idToken, login) {
+  const invalid = message =>
+    new errors.CasValidationError("Invalid ID token: " + message, {
+      code: "INVALID_ID_TOKEN",
+      service: login.redirectUri
+    });
+
+  let decoded;
+  try {
+    decoded = jwt.decode(idToken);
+  } catch (err) {
+    return Promise.reject(invalid(err.message));
+  }
+
+  // Only asymmetric signatures, never "none" or a secret based algorithm
+  if (decoded.header.alg !== "RS256") {
+    return Promise.reject(
+      invalid("unsupported algorithm " + decoded.header.alg)
+    );
+  }
+
+  return this._keyFor(decoded.header.kid).then(publicKey => {
+    if (!publicKey) {
+      throw invalid("unknown key " + decoded.header.kid);
+    }
+    if (!jwt.verifyRs256(decoded, publicKey)) {
+      throw invalid("bad signature");
+    }
+
+    const claims = decoded.payload;
+    const now = Date.now() / 1000;
+    const audience = [].concat(claims.aud);
+
+    if (claims.iss !== this.issuer) {
+      throw invalid("unexpected issuer " + claims.iss);
+    }
+    if (audience.indexOf(this.clientId) < 0) {
+      throw invalid("not issued for this client");
+    }
+    if (audience.length > 1 && claims.azp !== this.clientId) {
+      throw invalid("not authorized for this client");
+    }
+    if (claims.nonce !== login.nonce) {
+      throw invalid("nonce mismatch");
+    }
+    if (
+      typeof claims.exp !== "number" ||
+      claims.exp + this.clockTolerance < now
+    ) {
+      throw invalid("expired");
+    }
+    if (
+      typeof claims.iat === "number" &&
+      claims.iat - this.clockTolerance > now
+    ) {
+      throw invalid("issued in the future");
+    }
+    if (login.renew && !this._isFreshLogin(claims, login)) {
+      throw new errors.CasValidationError(
+        "Renewed login required but the ID token is not from a fresh login",
+        { code: "NOT_A_FRESH_LOGIN", service: login.redirectUri }
+      );
+    }
+    if (!claims[this.userClaim]) {
+      throw invalid("no " + this.userClaim + " claim");
+    }
+
+    return claims;
+  });
+};
+
+/**
+ * With prompt=login the user must have logged in after the login started.
+ */
+OidcStrategy.prototype._isFreshLogin = function(claims, login) {
+  return (
+    typeof claims.auth_time === "number" &&
+    claims.auth_time + this.clockTolerance >= login.startedAt / 1000
+  );
+};
+
+/**
+ * The result handed to verify, in the shape of the Strategy result.
+ */
+OidcStrategy.prototype._result = function(claims, tokens, login) {
+  const attributes = {};
+  Object.keys(claims).forEach(name => {
+    // Assigning __proto__ would set the prototype of the attributes
+    if (PROTOCOL_CLAIMS.indexOf(name) < 0 && name !== "__proto__") {
+      attributes[name] = claims[name];
+    }
+  });
+
+  return {
+    status: true,
+    user: String(claims[this.userClaim]),
+    attributes: attributes,
+    pgtIou: undefined,
+    proxies: [],
+    renew: login.renew || undefined,
+    claims: claims,
+    idToken: tokens.id_token,
+    accessToken: tokens.access_token
+  };
+};
+
+/**
+ * Remember a started login in the session, dropping expired ones and the
+ * oldest when there are too many.
+ */
+function _saveState(session, state, login) {
+  const now = Date.now();
+  const logins = {};
+  const existing = session[SESSION_KEY] || {};
+  Object.keys(existing)
+    .filter(key => existing[key].startedAt + STATE_TTL * 1000 > now)
+    .sort((a, b) => existing[a].startedAt - existing[b].startedAt)
+    .slice(-(MAX_STATES - 1))
+    .forEach(key => {
+      logins[key] = existing[key];
+    });
+
+  logins[state] = login;
+  session[SESSION_KEY] = logins;
+}
+
+/**
+ * Get and forget a started login, a state can only be used once.
+ */
+function _takeState(session, state) {
+  const logins = session[SESSION_KEY] || {};
+  const login = Object.prototype.hasOwnProperty.call(logins, state)
+    ? logins[state]
+    : undefined;
+  delete logins[state];
+
+  if (!login || login.startedAt + STATE_TTL * 1000 <= Date.now()) {
+    return undefined;
+  }
+  return login;
+}
+
+module.exports = {
+  Strategy: OidcStrategy
+};
@@ -2,14 +2,36 @@
  * Cas
  */
 var url = require("url");
-var http = require("http");
-var https = require("https");
 var passport = require("passport");
-var jsdom = require("jsdom");
+var casResponseParser = require("./cas-response-parser");
+var ticketSessionIndex = require("./ticket-session-index");
+var stores = require("./stores");
+var errors = require("./errors");
+var saml11 = require("./saml11");
+var transport = require("./transport");
+var endpoints = require("./endpoints");
+var verifier = require("./verify");
+var safeRedirect = require("./safe-redirect");
+var serviceUrl = require("./service-url");
+var audit = require("./audit");
+var logger = require("./logger");
+var proxyPolicy = require("./proxy-policy");
 
 // query parameter used to request a gateway SSO
 var gatewayParameter = "useGateway=true";
 
+// attributes telling whether the ticket came from a login with credentials,
+// released by the CAS server when available
+var freshLoginAttributes = ["credentialsProvided", "isFromNewLogin"];
+var rememberMeAttribute = "longTermAuthenticationRequestTokenUsed";
+
+// ticket validation endpoint per supported protocol version
+var validateEndpoints = {
+  cas2: "serviceValidate",
+  cas3: "p3ServiceValidate",
+  saml11: "samlValidate"
+};
+
 /**
  * Creates an instance of `Strategy`.
  */
@@ -24,18 +46,41 @@ function Strategy(options, verify) {
 
   this.ssoBase = options.ssoBaseURL;
   this.pgtUrl = options.pgtURL;
+  this.pgtStore = options.pgtStore || stores.defaultPgtStore;
   this.serverBaseURL = options.serverBaseURL;
-  this.parsed = url.parse(this.ssoBase);
-  if (this.parsed.protocol === "http:") {
-    this.client = http;
-  } else {
-    this.client = https;
+  this.parser = options.parser || casResponseParser;
+  this.ticketSessionIndex =
+    options.ticketSessionIndex || ticketSessionIndex.defaultIndex;
+  this.protocol = options.protocol || "cas2";
+  if (!validateEndpoints[this.protocol]) {
+    throw new Error(
+      "cas authentication strategy does not support protocol " + this.protocol
+    );
   }
+  this.endpoints = endpoints.resolveEndpoints(this.ssoBase, options.endpoints);
+  this.validateUrl = this.endpoints[validateEndpoints[this.protocol]];
+  this.transport = options.transport || transport.defaultTransport;
+  this.renew = options.renew === true;
+  this.redirectPolicy = options.redirectPolicy || safeRedirect.defaultPolicy;
+  this.log = logger.createLogger(options.logger);
+  this.serviceUrlBuilder = serviceUrl.createServiceUrlBuilder({
+    serverBaseURL: this.serverBaseURL,
+    trustProxy: options.trustProxy,
+    allowedOrigins: options.allowedOrigins,
+    redirectPolicy: this.redirectPolicy,
+    logger: this.log
+  });
+  this.events = options.events || audit.defaultEvents;
+  this.proxyPolicy = proxyPolicy.createProxyPolicy({
+    allowedProxyChains: options.allowedProxyChains,
+    allowedServices: options.allowedServices
+  });
 
   passport.Strategy.call(this);
 
   this.name = "cas";
   this._verify = verify;
+  this._verifyResult = verifier.createVerifier(verify, options);
 }
 
 /**
@@ -44,42 +89,59 @@ function Strategy(options, verify) {
  * @param req The request to authenticate.
  */
 Strategy.prototype.authenticate = function(req) {
-  var origUrl = req.originalUrl;
   var ticket = req.query.ticket;
-  var service = url.resolve(this.serverBaseURL, origUrl);
+  var renew = this.renew || useRenew(req);
+
+  // The public URL of the request, without the ticket and any gateway
+  // query parameter. The same for the login redirect and the validation.
+  var service;
+  try {
+    service = this.serviceUrlBuilder.serviceUrl(req);
+  } catch (err) {
+    return this.error(err);
+  }
 
-  // check if gateway SSO requested, remove any
-  // gateway query parameter from URL
-  var serviceUrl = url.parse(service, true);
-  delete serviceUrl.search;
-  service = stripGatewayAuthenticationParameter(serviceUrl);
+  // Neither send users to CAS for nor validate tickets of other services.
+  // An error rather than a failure, as the login handler would send a
+  // failed login back to the same URL.
+  try {
+    this.proxyPolicy.checkService(service);
+  } catch (err) {
+    this._emitValidationFailed(err, ticket, service, Date.now());
+    return this.error(err);
+  }
 
   if (!ticket) {
     // Building the redirect url to the login server
-    var loginServerURL = url.parse(this.ssoBase + "/login", true);
+    var loginServerURL = url.parse(this.endpoints.login, true);
+    delete loginServerURL.search;
 
     // Adding the gateway parameter if requested
-    if (useGatewayAuthentication(req)) {
+    var gateway = useGatewayAuthentication(req);
+    if (gateway) {
       loginServerURL.query.gateway = true;
     }
 
+    // Require primary credentials, i.e. no single sign-on
+    if (renew) {
+      loginServerURL.query.renew = true;
+    }
+
     // Adding the service parameter
     loginServerURL.query.service = service;
 
+    this._emit("login.redirect", {
+      service: service,
+      gateway: gateway,
+      renew: renew
+    });
+
     // Redirecting to the login server.
     return this.redirect(url.format(loginServerURL));
   }
 
-  // Formatting the service url and adding the nextUrl parameter after it's done due to double encoding
-  // Adding the service parameter
-  // Re-creates the original service URL.
-  // Remove search and ticket since they are not valid now
-  var baseServiceUrl = url.resolve(this.serverBaseURL, origUrl);
-  var tmpUrl = url.parse(baseServiceUrl, true);
-  delete tmpUrl.search;
-  delete tmpUrl.query.ticket;
-  var nextUrl = stripGatewayAuthenticationParameter(tmpUrl);
-  var validateService = nextUrl;
+  var validateService = service;
+  var started = Date.now();
 
   var self = this;
 
@@ -93,57 +155,162 @@ Strategy.prototype.authenticate = function(req) {
     if (!user) {
       return self.fail(info);
     }
+
+    // Remember which session the ticket created, for Single Logout.
+    // A failing index must not prevent the login itself.
+    if (req.sessionID) {
+      self.ticketSessionIndex.set(ticket, req.sessionID).catch(function(err) {
+        self.log.warn({ err: err }, "Could not index ticket for logout");
+      });
+    }
+
     self.success(user, info);
   };
 
   /**
-   * Request the login server's /validate with the ticket and service parameters.
+   * Request the login server's /serviceValidate (or /p3/serviceValidate when
+   * the "cas3" protocol is configured) with the ticket and service parameters.
    * The callback function handles the CAS server response.
-   * Read more at the "CAS protocol section 2.4.2": http://www.jasig.org/cas/protocol
+   * Read more at the "CAS protocol section 2.5": https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html
    *
    * Response on ticket validation success:
-   * yes
-   * u1foobar
+   * <cas:serviceResponse>
+   *   <cas:authenticationSuccess>
+   *     <cas:user>u1foobar</cas:user>
+   *     <cas:attributes>...</cas:attributes>
+   *   </cas:authenticationSuccess>
+   * </cas:serviceResponse>
    *
    * Response on ticket validation failure:
-   * no
+   * <cas:serviceResponse>
+   *   <cas:authenticationFailure code="INVALID_TICKET">...</cas:authenticationFailure>
+   * </cas:serviceResponse>
+   *
+   * With the "saml11" protocol a SAML request is POSTed to /samlValidate instead.
    */
-  var get = this.client.get(
-    {
-      host: this.parsed.hostname,
-      port: this.parsed.port,
-      path: url.format({
-        pathname: "/serviceValidate",
-        query: {
-          ticket: ticket,
-          service: validateService,
-          pgtUrl: this.pgtUrl
-        }
-      })
-    },
-    function(response) {
-      response.setEncoding("utf8");
-      var body = "";
-
-      response.on("data", function(responseData) {
-        body += responseData;
-      });
-
-      return response.on("end", function() {
-        var parsedResult = parseCasResponse(body, ticket);
-        return parsedResult
+  var validation = this._validationRequest(ticket, validateService, renew);
+  this.transport
+    .request({
+      url: validation.url,
+      method: validation.method,
+      headers: validation.headers,
+      body: validation.body
+    })
+    .then(
+      function(response) {
+        return validation
+          .parse(response.body, ticket, self.parser, validateService)
+          .then(function(validationResult) {
+            // Before anything is done for a ticket from a disallowed chain
+            return self.proxyPolicy.checkResult(
+              validationResult,
+              validateService
+            );
+          })
+          .then(function(validationResult) {
+            return resolvePgt(self.pgtStore, validationResult);
+          })
           .then(function(validationResult) {
-            return self._verify(validationResult, verified);
+            return renew
+              ? checkFreshLogin(validationResult, validateService)
+              : validationResult;
           })
-          .catch(function() {
-            return self.fail(new Error("The response from the server was bad"));
+          .then(function(validationResult) {
+            self._emit("ticket.validated", {
+              ticket: ticket,
+              service: validateService,
+              user: validationResult.user,
+              renew: renew,
+              latency: audit.since(started)
+            });
+            return self._verifyResult(req, validationResult, verified);
+          })
+          .catch(function(err) {
+            // Rejected tickets fail, anything else is an error
+            if (err instanceof errors.CasValidationError) {
+              self._emitValidationFailed(err, ticket, validateService, started);
+              return self.fail(err);
+            }
+            if (err instanceof errors.CasResponseFormatError) {
+              self._emitValidationFailed(err, ticket, validateService, started);
+            }
+            return self.error(err);
           });
-      });
-    }
+      },
+      function(e) {
+        var err = new errors.CasTransportError(
+          "Ticket validation failed: " + e.message,
+          {
+            ticket: ticket,
+            service: validateService,
+            cause: e
+          }
+        );
+        self._emitValidationFailed(err, ticket, validateService, started);
+        return self.error(err);
+      }
+    );
+};
+
+/**
+ * The request used to validate a ticket with the configured protocol. With
+ * renew the CAS server only accepts tickets issued from a login with
+ * credentials.
+ */
+Strategy.prototype._validationRequest = function(ticket, service, renew) {
+  var renewParameter = renew ? "true" : undefined;
+
+  if (this.protocol === "saml11") {
+    return {
+      method: "POST",
+      url: endpoints.withQuery(this.validateUrl, {
+        TARGET: service,
+        renew: renewParameter
+      }),
+      headers: saml11.requestHeaders,
+      body: saml11.buildSamlRequest(ticket),
+      parse: saml11.parseSamlResult
+    };
+  }
+
+  return {
+    method: "GET",
+    url: endpoints.withQuery(this.validateUrl, {
+      ticket: ticket,
+      service: service,
+      pgtUrl: this.pgtUrl,
+      renew: renewParameter
+    }),
+    headers: {},
+    body: undefined,
+    parse: parseCasResponse
+  };
+};
+
+Strategy.prototype._emit = function(type, details) {
+  audit.emitEvent(
+    this.events,
+    type,
+    Object.assign({ strategy: this.name }, details),
+    this.log
   );
+};
 
-  get.on("error", function(e) {
-    return self.fail(new Error(e));
+/**
+ * Emit validation.failed with the CAS failure code, or the error name when
+ * the ticket could not be validated at all.
+ */
+Strategy.prototype._emitValidationFailed = function(
+  err,
+  ticket,
+  service,
+  started
+) {
+  this._emit("validation.failed", {
+    ticket: ticket,
+    service: service,
+    code: audit.failureCode(err),
+    latency: audit.since(started)
   });
 };
 
@@ -168,180 +335,208 @@ function useGatewayAuthentication(req) {
 }
 
 /**
- * If a gateway query parameter is added, remove it.
+ * Check if we are requested to perform a renewed login, i.e. the user has
+ * to enter credentials again even with a single sign-on session.
  */
-function stripGatewayAuthenticationParameter(aUrl) {
-  if (aUrl.query && aUrl.query.useGateway) {
-    delete aUrl.query.useGateway;
+function useRenew(req) {
+  // can be set on request if via application supplied callback
+  if (req.useRenew === true) {
+    return true;
   }
-  if (aUrl.query.nextUrl) {
-    var theNextUrl = decodeURIComponent(aUrl.query.nextUrl);
-    aUrl.query.nextUrl = decodeURIComponent(theNextUrl);
+
+  // otherwise via query parameter, kept in the service URL so that the
+  // validation request also asks for renew
+  return !!req.query && req.query.renew === "true";
+}
+
+/**
+ * The CAS server refuses tickets from single sign-on when validating with
+ * renew. Also refuse them when the released attributes say the login was
+ * done without credentials or with remember-me.
+ */
+function checkFreshLogin(validationResult, service) {
+  var attributes = validationResult.attributes || {};
+  var fresh = freshLoginAttributes.every(function(name) {
+    return (
+      attributes[name] === undefined || String(attributes[name]) === "true"
+    );
+  });
+
+  if (!fresh || String(attributes[rememberMeAttribute]) === "true") {
+    throw new errors.CasValidationError(
+      "Renewed login required but the ticket is not from a fresh login",
+      {
+        code: "NOT_A_FRESH_LOGIN",
+        ticket: validationResult.ticket,
+        service: service
+      }
+    );
   }
-  var theUrl = url.format(aUrl);
 
-  return theUrl;
+  validationResult.renew = true;
+  return validationResult;
 }
 
-function parseCasResponse(casResponse, ticket) {
-  // Use jsdom to parse the XML repsonse.
-  // ( Note:
-  //     It seems jsdom currently does not support XML namespaces.
-  //     And node names here are case insensitive. Hence attribute
-  //     names will also be case insensitive.
-  // )
+/**
+ * Parse a ticket validation response into the result handed to verify.
+ * Rejects with a CasValidationError when the validation failed, or with a
+ * CasResponseFormatError when the response could not be parsed.
+ */
+function parseCasResponse(casResponse, ticket, parser, service) {
   return new Promise(function(resolve, reject) {
-    jsdom.env(casResponse, function(err, window) {
-      if (err) {
-        return reject(
-          new Error("jsdom could not parse casResponse: " + casResponse)
-        );
-      }
+    var parsed;
+    try {
+      parsed = (parser || casResponseParser).parseServiceResponse(casResponse);
+    } catch (err) {
+      return reject(
+        new errors.CasResponseFormatError(
+          "Bad casResponse format. " + err.message,
+          { ticket: ticket, service: service, response: casResponse }
+        )
+      );
+    }
 
-      // Check for auth success
-      var elemSuccess = window.document.getElementsByTagName(
-        "cas:authenticationSuccess"
-      )[0];
-      if (elemSuccess) {
-        var elemUser = elemSuccess.getElementsByTagName("cas:user")[0];
-        if (!elemUser) {
-          //  This should never happen
-          return reject(new Error("No username?"), false);
-        }
-
-        // Got username
-        var username = elemUser.textContent;
-
-        // Look for optional proxy granting ticket
-        var pgtIOU;
-        var elemPGT = elemSuccess.getElementsByTagName(
-          "cas:proxyGrantingTicket"
-        )[0];
-        if (elemPGT) {
-          pgtIOU = elemPGT.textContent;
-        }
-
-        // Look for optional proxies
-        var proxies = [];
-        var elemProxies = elemSuccess.getElementsByTagName("cas:proxies");
-        for (var i = 0; i < elemProxies.length; i++) {
-          var thisProxy = elemProxies[i].textContent.trim();
-          proxies.push(thisProxy);
-        }
-
-        // Look for optional attributes
-        var casResponseParsed = {
-          status: true,
-          user: username,
-          pgtIou: pgtIOU,
+    if (parsed.failure) {
+      var message = "Validation failed [" + parsed.failure.code + "]: ";
+      message += parsed.failure.message;
+      return reject(
+        new errors.CasValidationError(message, {
+          code: parsed.failure.code,
           ticket: ticket,
-          proxies: proxies
-        };
-
-        return resolve(casResponseParsed);
-      } // end if auth success
-
-      // Check for correctly formatted auth failure message
-      var elemFailure = window.document.getElementsByTagName(
-        "cas:authenticationFailure"
-      )[0];
-      if (elemFailure) {
-        var code = elemFailure.getAttribute("code");
-        var message = "Validation failed [" + code + "]: ";
-        message += elemFailure.textContent;
-        return reject(new Error(message), false);
-      }
+          service: service,
+          response: casResponse
+        })
+      );
+    }
 
-      // The casResponse was not in any expected format, error
-      return reject(new Error("Bad casResponse format. " + casResponse));
+    return resolve({
+      status: true,
+      user: parsed.user,
+      attributes: parsed.attributes,
+      pgtIou: parsed.pgtIou,
+      ticket: ticket,
+      proxies: parsed.proxies
     });
   });
 }
 
+/**
+ * Look up the proxy granting ticket that the CAS server delivered to the
+ * pgtCallback for the pgtIou in the validation result.
+ */
+function resolvePgt(pgtStore, validationResult) {
+  if (!validationResult.pgtIou) {
+    return validationResult;
+  }
+
+  return pgtStore.get(validationResult.pgtIou).then(function(pgtId) {
+    validationResult.pgtId = pgtId;
+    return validationResult;
+  });
+}
+
 /**
  * Get a proxy ticket using a proxy granting ticket.
- * @param casService - the base URL to the CAS server i.e. without path, e.g. https://login-r.referens.sys.kth.se
+ * @param casService - the base URL to the CAS server, e.g. https://login-r.referens.sys.kth.se or https://host/cas,
+ * or an object with ssoBaseURL and optionally the transport, endpoints, events and logger to use
  * @param pgtId - the proxy granting ticket to use
  * @param targetService - the service for which the proxy ticket will be used (to validate the ticket you need to supply this service)
  * @returns {Promise} - resolved to a proxy ticket
  * @private
  */
 function _getProxyTicket(casService, pgtId, targetService) {
-  return new Promise(function(resolve, reject) {
-    // setup the url to the CAS Server
-    var parsedSsoBase;
-    if (typeof casService === "object") {
-      var ssoBase = casService.ssoBaseURL;
-      parsedSsoBase = url.parse(ssoBase);
-    } else if (typeof casService === "string") {
-      parsedSsoBase = url.parse(casService);
-    }
-
-    var proxyUrl = {
-      protocol: "https:",
-      hostname: parsedSsoBase.hostname,
-      port: parsedSsoBase.port,
-      path: url.format({
-        pathname: "/proxy",
-        query: {
-          targetService: targetService,
-          pgt: pgtId
-        }
-      })
-    };
-
-    // Query the CAS server
-    var req = https.get(proxyUrl, function(res) {
-      // Handle server errors
-      res.on("error", function(e) {
-        return reject(e);
-      });
+  // setup the url to the CAS Server
+  var casEndpoints;
+  var casTransport = transport.defaultTransport;
+  var casEvents = audit.defaultEvents;
+  var casLogger = logger.defaultLogger;
+  if (typeof casService === "object") {
+    casEndpoints = endpoints.resolveEndpoints(
+      casService.ssoBaseURL,
+      casService.endpoints
+    );
+    casTransport = casService.transport || casTransport;
+    casEvents = casService.events || casEvents;
+    casLogger = logger.createLogger(casService.logger);
+  } else {
+    casEndpoints = endpoints.resolveEndpoints(casService);
+  }
 
-      // Read result
-      res.setEncoding("utf8");
-      var response = "";
-      res.on("data", function(chunk) {
-        response += chunk;
-        if (response.length > 1e6) {
-          req.connection.destroy();
-        }
-      });
+  var proxyUrl = endpoints.withQuery(casEndpoints.proxy, {
+    targetService: targetService,
+    pgt: pgtId
+  });
 
-      // Reponse done, finish processing
-      res.on("end", function() {
-        // Use jsdom to parse the XML response
-        jsdom.env(response, function(err, window) {
-          // ERROR - unparseable response
-          if (err) {
-            return reject(new Error("Could not parse response: " + response));
-          }
+  var details = { ticket: pgtId, service: targetService };
+  var started = Date.now();
+
+  // Query the CAS server
+  var request = casTransport.request({ url: proxyUrl }).then(
+    function(res) {
+      var response = res.body;
+      var parsed;
+      try {
+        parsed = casResponseParser.parseProxyResponse(response);
+      } catch (err) {
+        // ERROR - unparseable or unexpected response
+        details.response = response;
+        throw new errors.CasResponseFormatError(
+          "Bad response format: " + err.message,
+          details
+        );
+      }
 
-          // OK - Got the proxy ticket
-          var elemTicket = window.document.getElementsByTagName(
-            "cas:proxyTicket"
-          )[0];
-          if (elemTicket) {
-            var proxyTicket = elemTicket.textContent;
-            return resolve(proxyTicket);
-          }
+      // ERROR - Got a proxy failure
+      if (parsed.failure) {
+        var code = parsed.failure.code;
+        var message = "Proxy failure [" + code + "]: ";
+        message += parsed.failure.message;
+        details.code = code;
+        details.response = response;
+        throw new errors.CasProxyError(message, details);
+      }
 
-          // ERROR - Got a proxy failure
-          var elemFailure = window.document.getElementsByTagName(
-            "cas:proxyFailure"
-          )[0];
-          if (elemFailure) {
-            var code = elemFailure.getAttribute("code");
-            var message = "Proxy failure [" + code + "]: ";
-            message += elemFailure.textContent;
-            return reject(new Error(message));
-          }
+      // OK - Got the proxy ticket
+      return parsed.proxyTicket;
+    },
+    function(e) {
+      // ERROR - Could not reach the CAS server
+      details.cause = e;
+      throw new errors.CasTransportError(
+        "Proxy request failed: " + e.message,
+        details
+      );
+    }
+  );
 
-          // ERROR - Unexpected response
-          return reject(new Error("Bad response format: " + response));
-        });
-      });
-    });
-  });
+  return request.then(
+    function(proxyTicket) {
+      audit.emitEvent(
+        casEvents,
+        "proxyTicket.issued",
+        {
+          ticket: proxyTicket,
+          service: targetService,
+          latency: audit.since(started)
+        },
+        casLogger
+      );
+      return proxyTicket;
+    },
+    function(err) {
+      audit.emitEvent(
+        casEvents,
+        "proxyTicket.failed",
+        {
+          service: targetService,
+          code: audit.failureCode(err),
+          latency: audit.since(started)
+        },
+        casLogger
+      );
+      throw err;
+    }
+  );
 }
 
 /**
@@ -349,3 +544,4 @@ function _getProxyTicket(casService, pgtId, targetService) {
  */
 exports.Strategy = Strategy;
 exports.getProxyTicket = _getProxyTicket;
+exports.parseCasResponse = parseCasResponse;
@@ -0,0 +1,239 @@
+"use strict";
+
+const PassportStrategy = require("passport-strategy");
+const util = require("util");
+const url = require("url");
+const parseCasResponse = require("./cas-pgt-strategy").parseCasResponse;
+const casResponseParser = require("./cas-response-parser");
+const errors = require("./errors");
+const transport = require("./transport");
+const endpoints = require("./endpoints");
+const verifier = require("./verify");
+const audit = require("./audit");
+const logger = require("./logger");
+const proxyPolicy = require("./proxy-policy");
+
+const defaults = {
+  ticketHeader: "x-cas-ticket",
+  ticketParameter: "ticket",
+  protocol: "cas2"
+};
+
+const validateEndpoints = {
+  cas2: "proxyValidate",
+  cas3: "p3ProxyValidate"
+};
+
+/**
+ * Strategy for APIs that receive proxy tickets (or service tickets) from
+ * other services, e.g. a frontend using getProxyTicket. The ticket is read
+ * from a header or query parameter and validated against /proxyValidate.
+ * Never redirects, requests without a valid ticket fail with 401.
+ *
+ * Options:
+ *   ssoBaseURL          base URL of the CAS server
+ *   service             the service id the tickets are issued for
+ *   ticketHeader        header to read the ticket from, default x-cas-ticket
+ *   ticketParameter     query parameter to read the ticket from, default ticket
+ *   allowedProxyChains  list of accepted proxy chains, each a list of proxy
+ *                       URL patterns with the most recent proxy first, see
+ *                       proxy-policy.js. Any chain is accepted when not set.
+ *   protocol            "cas2" (default) or "cas3" to get attributes
+ *   validationCache     optional ValidationCache, lets a ticket be reused
+ *                       within the cache TTL without asking the CAS server
+ *   parser              CAS response parser, see cas-response-parser.js
+ *   transport           HTTP transport, see transport.js
+ *   endpoints           overrides of single CAS endpoints, see endpoints.js
+ *   passReqToCallback   call verify(req, result, done), see verify.js
+ *   promiseVerify       call verify(result, req), see verify.js
+ *   events              EventEmitter for audit events, see audit.js
+ *   logger              see logger.js
+ */
+function ProxyTicketStrategy(options, verify) {
+  if (!(this instanceof ProxyTicketStrategy)) {
+    return new ProxyTicketStrategy(options, verify);
+  }
+
+  options = options || {};
+
+  this.name = "cas-proxy";
+  this.verify = verify;
+  this.service = options.service;
+  this.ticketHeader = (
+    options.ticketHeader || defaults.ticketHeader
+  ).toLowerCase();
+  this.ticketParameter = options.ticketParameter || defaults.ticketParameter;
+  this.allowedProxyChains = options.allowedProxyChains;
+  this.protocol = options.protocol || defaults.protocol;
+  this.validationCache = options.validationCache;
+  this.parser = options.parser || casResponseParser;
+
+  if (typeof this.verify !== "function") {
+    throw new TypeError("ProxyTicketStrategy requires a verify callback");
+  }
+
+  if (!options.ssoBaseURL) {
+    throw new TypeError("ProxyTicketStrategy requires a CAS URL");
+  }
+
+  if (!this.service || typeof this.service !== "string") {
+    throw new TypeError("ProxyTicketStrategy requires a service id");
+  }
+
+  if (!validateEndpoints[this.protocol]) {
+    throw new TypeError(
+      "ProxyTicketStrategy does not support protocol " + this.protocol
+    );
+  }
+
+  if (
+    this.allowedProxyChains !== undefined &&
+    !Array.isArray(this.allowedProxyChains)
+  ) {
+    throw new TypeError(
+      "ProxyTicketStrategy requires allowedProxyChains to be a list"
+    );
+  }
+  this.proxyPolicy = proxyPolicy.createProxyPolicy({
+    allowedProxyChains: this.allowedProxyChains
+  });
+
+  this.endpoints = endpoints.resolveEndpoints(
+    options.ssoBaseURL,
+    options.endpoints
+  );
+  this.proxyValidateUrl = this.endpoints[validateEndpoints[this.protocol]];
+  this.transport = options.transport || transport.defaultTransport;
+  this.events = options.events || audit.defaultEvents;
+  this.log = logger.createLogger(options.logger);
+  this._verifyResult = verifier.createVerifier(this.verify, options);
+
+  PassportStrategy.call(this);
+}
+
+util.inherits(ProxyTicketStrategy, PassportStrategy);
+
+ProxyTicketStrategy.prototype.authenticate = function(req) {
+  const ticket =
+    req.headers[this.ticketHeader] ||
+    (req.query && req.query[this.ticketParameter]);
+
+  if (!ticket) {
+    return this.fail(
+      new errors.CasValidationError("No CAS ticket in request", {
+        code: "INVALID_REQUEST",
+        service: this.service
+      }),
+      401
+    );
+  }
+
+  const cached = this.validationCache
+    ? this.validationCache.get(ticket, this.service)
+    : Promise.resolve(undefined);
+
+  cached.then(result => {
+    if (result) {
+      return this.verifyResult(result, req);
+    }
+
+    const started = Date.now();
+    this.requestValidation(ticket).then(
+      body =>
+        parseCasResponse(body, ticket, this.parser, this.service).then(
+          result => {
+            if (this.validationCache) {
+              this.validationCache.set(ticket, this.service, result);
+            }
+            this._emit("ticket.validated", {
+              ticket: ticket,
+              latency: audit.since(started),
+              user: result.user,
+              proxies: result.proxies
+            });
+            this.verifyResult(result, req);
+          },
+          err => {
+            this._emit("validation.failed", {
+              ticket: ticket,
+              latency: audit.since(started),
+              code: audit.failureCode(err)
+            });
+            if (err instanceof errors.CasValidationError) {
+              return this.fail(err, 401);
+            }
+            return this.error(err);
+          }
+        ),
+      err => {
+        const transportError = new errors.CasTransportError(
+          "Ticket validation failed: " + err.message,
+          { ticket: ticket, service: this.service, cause: err }
+        );
+        this._emit("validation.failed", {
+          ticket: ticket,
+          latency: audit.since(started),
+          code: audit.failureCode(transportError)
+        });
+        this.error(transportError);
+      }
+    );
+  });
+};
+
+ProxyTicketStrategy.prototype._emit = function(type, details) {
+  audit.emitEvent(
+    this.events,
+    type,
+    Object.assign({ strategy: this.name, service: this.service }, details),
+    this.log
+  );
+};
+
+/**
+ * Request /proxyValidate for the ticket, resolves to the raw response body.
+ */
+ProxyTicketStrategy.prototype.requestValidation = function(ticket) {
+  const validateUrl = url.parse(this.proxyValidateUrl, true);
+  delete validateUrl.search;
+  validateUrl.query = {
+    ticket: ticket,
+    service: this.service
+  };
+
+  return this.transport
+    .request({ url: url.format(validateUrl) })
+    .then(response => response.body);
+};
+
+/**
+ * Check the proxy chain of a successful validation and hand it to verify.
+ */
+ProxyTicketStrategy.prototype.verifyResult = function(result, req) {
+  try {
+    this.proxyPolicy.checkResult(result, this.service);
+  } catch (err) {
+    this._emit("validation.failed", {
+      ticket: result.ticket,
+      code: err.code,
+      proxies: result.proxies
+    });
+    return this.fail(err, 401);
+  }
+
+  this._verifyResult(req, result, (err, user, info) => {
+    if (err) {
+      return this.error(err);
+    }
+
+    if (!user) {
+      return this.fail(info, 401);
+    }
+
+    this.success(user, info);
+  });
+};
+
+module.exports = {
+  Strategy: ProxyTicketStrategy
+};
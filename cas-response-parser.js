@@ -0,0 +1,318 @@
+"use strict";
+
+/**
+ * Parser for the XML responses of the CAS server, shared by the strategies
+ * and getProxyTicket. Elements are matched on namespace and local name, so
+ * any prefix bound to the CAS namespace works.
+ *
+ * Any object with the same parse functions can be passed to the strategies
+ * as the `parser` option.
+ */
+const sax = require("sax");
+
+const CAS_NS = "http://www.yale.edu/tp/cas";
+const SAMLP_NS = "urn:oasis:names:tc:SAML:2.0:protocol";
+const SAML11P_NS = "urn:oasis:names:tc:SAML:1.0:protocol";
+const SAML11_NS = "urn:oasis:names:tc:SAML:1.0:assertion";
+
+/**
+ * Parse an XML string into a light element tree:
+ * { uri, local, attributes: { localName: value }, children: [], text }
+ * Throws on malformed XML.
+ */
+function parseXml(xml) {
+  if (typeof xml !== "string" || !xml.trim()) {
+    throw new Error("Empty response");
+  }
+
+  const parser = sax.parser(true, { xmlns: true });
+  const root = { children: [] };
+  const stack = [root];
+  let failure = null;
+
+  parser.onerror = err => {
+    failure = failure || err;
+    parser.error = null;
+  };
+
+  parser.onopentag = tag => {
+    const attributes = {};
+    Object.keys(tag.attributes).forEach(name => {
+      const attribute = tag.attributes[name];
+      if (attribute.prefix !== "xmlns" && attribute.name !== "xmlns") {
+        attributes[attribute.local] = attribute.value;
+      }
+    });
+
+    const element = {
+      uri: tag.uri,
+      local: tag.local,
+      attributes: attributes,
+      children: [],
+      text: ""
+    };
+    stack[stack.length - 1].children.push(element);
+    stack.push(element);
+  };
+
+  parser.onclosetag = () => {
+    stack.pop();
+  };
+
+  parser.ontext = parser.oncdata = text => {
+    stack[stack.length - 1].text += text;
+  };
+
+  parser.write(xml).close();
+
+  if (failure) {
+    throw new Error("Could not parse XML: " + failure.message.split("\n")[0]);
+  }
+
+  return root;
+}
+
+function _children(element, uri, local) {
+  if (!element) {
+    return [];
+  }
+
+  return element.children.filter(
+    child => child.uri === uri && child.local === local
+  );
+}
+
+function _child(element, uri, local) {
+  return _children(element, uri, local)[0] || null;
+}
+
+/**
+ * Depth-first search for the first descendant with the given name.
+ */
+function _find(element, uri, local) {
+  if (!element) {
+    return null;
+  }
+
+  for (let i = 0; i < element.children.length; i++) {
+    const child = element.children[i];
+    if (child.uri === uri && child.local === local) {
+      return child;
+    }
+    const found = _find(child, uri, local);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+function _text(element) {
+  return element ? element.text.trim() : undefined;
+}
+
+function _serviceResponse(xml) {
+  const response = _child(parseXml(xml), CAS_NS, "serviceResponse");
+  if (!response) {
+    throw new Error("Not a CAS serviceResponse");
+  }
+  return response;
+}
+
+function _failure(element) {
+  return {
+    code: element.attributes.code,
+    message: _text(element)
+  };
+}
+
+// Assigning this name to a plain object sets its prototype instead
+const RESERVED_ATTRIBUTE = "__proto__";
+
+/**
+ * Collect the children of <cas:attributes> into a plain object. Attributes
+ * released more than once (e.g. group memberships) become arrays. Supports
+ * both <cas:name>value</cas:name> and <cas:attribute name="" value=""/>.
+ * An attribute named __proto__ is skipped.
+ */
+function _attributes(element) {
+  const attributes = {};
+  if (!element) {
+    return attributes;
+  }
+
+  element.children.forEach(child => {
+    let name = child.local;
+    let value = _text(child);
+    if (name === "attribute" && child.attributes.name !== undefined) {
+      name = child.attributes.name;
+      value = child.attributes.value;
+    }
+    if (name === RESERVED_ATTRIBUTE) {
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+      attributes[name] = value;
+    } else if (Array.isArray(attributes[name])) {
+      attributes[name].push(value);
+    } else {
+      attributes[name] = [attributes[name], value];
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Parse the response of /serviceValidate, /proxyValidate and their /p3
+ * variants into { user, attributes, pgtIou, proxies, failure }.
+ * On success failure is null, on failure it is { code, message }.
+ */
+function parseServiceResponse(xml) {
+  const response = _serviceResponse(xml);
+
+  const failure = _child(response, CAS_NS, "authenticationFailure");
+  if (failure) {
+    return {
+      user: undefined,
+      attributes: {},
+      pgtIou: undefined,
+      proxies: [],
+      failure: _failure(failure)
+    };
+  }
+
+  const success = _child(response, CAS_NS, "authenticationSuccess");
+  const user = _text(_child(success, CAS_NS, "user"));
+  if (!user) {
+    throw new Error("No authenticationSuccess with a user in response");
+  }
+
+  // The most recent proxy comes first
+  const proxies = _children(
+    _child(success, CAS_NS, "proxies"),
+    CAS_NS,
+    "proxy"
+  ).map(_text);
+
+  return {
+    user: user,
+    attributes: _attributes(_child(success, CAS_NS, "attributes")),
+    pgtIou: _text(_child(success, CAS_NS, "proxyGrantingTicket")),
+    proxies: proxies,
+    failure: null
+  };
+}
+
+/**
+ * Parse the response of /proxy into { proxyTicket, failure }.
+ */
+function parseProxyResponse(xml) {
+  const response = _serviceResponse(xml);
+
+  const failure = _child(response, CAS_NS, "proxyFailure");
+  if (failure) {
+    return { proxyTicket: undefined, failure: _failure(failure) };
+  }
+
+  const proxyTicket = _text(
+    _child(_child(response, CAS_NS, "proxySuccess"), CAS_NS, "proxyTicket")
+  );
+  if (!proxyTicket) {
+    throw new Error("No proxySuccess with a proxyTicket in response");
+  }
+
+  return { proxyTicket: proxyTicket, failure: null };
+}
+
+/**
+ * Parse the SOAP wrapped SAML 1.1 response of /samlValidate into
+ * { user, attributes, validFrom, validUntil, failure }. validFrom and
+ * validUntil are the Conditions of the assertion as Date objects. An
+ * attribute named __proto__ is skipped.
+ */
+function parseSamlResponse(xml) {
+  const response = _find(parseXml(xml), SAML11P_NS, "Response");
+  if (!response) {
+    throw new Error("Not a SAML 1.1 Response");
+  }
+
+  const statusCode = _find(
+    _child(response, SAML11P_NS, "Status"),
+    SAML11P_NS,
+    "StatusCode"
+  );
+  const status = ((statusCode && statusCode.attributes.Value) || "").replace(
+    /^[^:]*:/,
+    ""
+  );
+  if (status !== "Success") {
+    return {
+      user: undefined,
+      attributes: {},
+      validFrom: undefined,
+      validUntil: undefined,
+      failure: {
+        code: status || undefined,
+        message: _text(_find(response, SAML11P_NS, "StatusMessage"))
+      }
+    };
+  }
+
+  const assertion = _child(response, SAML11_NS, "Assertion");
+  const user = _text(_find(assertion, SAML11_NS, "NameIdentifier"));
+  if (!user) {
+    throw new Error("No Assertion with a NameIdentifier in response");
+  }
+
+  const attributes = {};
+  const statement = _child(assertion, SAML11_NS, "AttributeStatement");
+  _children(statement, SAML11_NS, "Attribute").forEach(attribute => {
+    if (attribute.attributes.AttributeName === RESERVED_ATTRIBUTE) {
+      return;
+    }
+    const values = _children(attribute, SAML11_NS, "AttributeValue").map(_text);
+    attributes[attribute.attributes.AttributeName] =
+      values.length === 1 ? values[0] : values;
+  });
+
+  const conditions = _child(assertion, SAML11_NS, "Conditions");
+  const notBefore = conditions && conditions.attributes.NotBefore;
+  const notOnOrAfter = conditions && conditions.attributes.NotOnOrAfter;
+
+  return {
+    user: user,
+    attributes: attributes,
+    validFrom: notBefore ? new Date(notBefore) : undefined,
+    validUntil: notOnOrAfter ? new Date(notOnOrAfter) : undefined,
+    failure: null
+  };
+}
+
+/**
+ * Parse a SAML LogoutRequest sent for Single Logout into
+ * { nameId, sessionIndex }, where sessionIndex is the service ticket.
+ */
+function parseLogoutRequest(xml) {
+  const request = _child(parseXml(xml), SAMLP_NS, "LogoutRequest");
+  const sessionIndex = _text(_child(request, SAMLP_NS, "SessionIndex"));
+  if (!sessionIndex) {
+    throw new Error("No SessionIndex in LogoutRequest");
+  }
+
+  const nameId = request.children.filter(child => child.local === "NameID")[0];
+  return {
+    nameId: _text(nameId),
+    sessionIndex: sessionIndex
+  };
+}
+
+module.exports = {
+  parseXml: parseXml,
+  parseServiceResponse: parseServiceResponse,
+  parseProxyResponse: parseProxyResponse,
+  parseSamlResponse: parseSamlResponse,
+  parseLogoutRequest: parseLogoutRequest
+};
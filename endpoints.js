@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * The CAS server endpoints, resolved relative to the configured base URL so
+ * that servers mounted under a context path (e.g. https://host/cas) work.
+ *
+ * Each endpoint can be overridden one by one, either with an absolute URL or
+ * with a path. Paths without a leading slash are relative to the base URL,
+ * paths with a leading slash are relative to the host.
+ */
+const url = require("url");
+
+const defaultPaths = {
+  login: "login",
+  logout: "logout",
+  serviceValidate: "serviceValidate",
+  p3ServiceValidate: "p3/serviceValidate",
+  proxyValidate: "proxyValidate",
+  p3ProxyValidate: "p3/proxyValidate",
+  proxy: "proxy",
+  samlValidate: "samlValidate",
+  oidcAuthorize: "oidc/authorize",
+  oidcToken: "oidc/token",
+  oidcJwks: "oidc/jwks"
+};
+
+/**
+ * Resolve all endpoints for a CAS base URL into absolute URLs.
+ *
+ * @param baseUrl - the base URL of the CAS server, e.g. https://login.kth.se or https://host/cas
+ * @param overrides - optional object with the same keys as the defaults
+ */
+function resolveEndpoints(baseUrl, overrides) {
+  if (!baseUrl || typeof baseUrl !== "string") {
+    throw new TypeError("A CAS base URL is required to resolve endpoints");
+  }
+
+  const base = baseUrl.replace(/\/*$/, "/");
+  const paths = Object.assign({}, defaultPaths, overrides);
+  const endpoints = {};
+  Object.keys(paths).forEach(name => {
+    endpoints[name] = url.resolve(base, paths[name]);
+  });
+
+  return endpoints;
+}
+
+/**
+ * Add query parameters to an endpoint URL, keeping any it already has.
+ * Parameters with an undefined value are left out.
+ */
+function withQuery(endpoint, query) {
+  const parsed = url.parse(endpoint, true);
+  delete parsed.search;
+  Object.keys(query).forEach(key => {
+    if (query[key] !== undefined) {
+      parsed.query[key] = query[key];
+    }
+  });
+
+  return url.format(parsed);
+}
+
+module.exports = {
+  defaultPaths: defaultPaths,
+  resolveEndpoints: resolveEndpoints,
+  withQuery: withQuery
+};
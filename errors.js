@@ -0,0 +1,73 @@
+"use strict";
+
+const redact = require("./redact");
+
+/**
+ * Errors passed on by the strategies (through fail/error) and getProxyTicket.
+ *
+ * All of them carry what is known about the failing request:
+ *   code      the CAS failure code, e.g. INVALID_TICKET
+ *   ticket    the ticket that was validated (or the PGT used for /proxy)
+ *   service   the service (or target service) the ticket was for
+ *   response  the raw response from the CAS server
+ *   cause     the underlying error, for transport errors
+ *
+ * Tickets in the message, ticket and response are redacted, see redact.js.
+ */
+class CasError extends Error {
+  constructor(message, details) {
+    super(redact.redactString(message));
+    details = details || {};
+    this.name = this.constructor.name;
+    this.code = details.code;
+    this.ticket = redact.redactTicket(details.ticket);
+    this.service = details.service;
+    this.response = redact.redactString(details.response);
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * The CAS server rejected the ticket (authenticationFailure), or the
+ * validation result was not acceptable. Passed to fail().
+ */
+class CasValidationError extends CasError {}
+
+/**
+ * The CAS server refused to issue a proxy ticket (proxyFailure).
+ */
+class CasProxyError extends CasError {}
+
+/**
+ * The proxy granting ticket of the logged in user is missing or has expired.
+ * The user has to log in again to get a new one.
+ */
+class CasPgtExpiredError extends CasProxyError {}
+
+/**
+ * The CAS server could not be reached or the request failed on the network
+ * level. Passed to error().
+ */
+class CasTransportError extends CasError {}
+
+/**
+ * The CAS server answered with something that is not a valid CAS response.
+ * Passed to error().
+ */
+class CasResponseFormatError extends CasError {}
+
+/**
+ * A return URL (e.g. nextUrl) was refused by the redirect policy, see
+ * safe-redirect.js.
+ */
+class CasRedirectError extends CasError {}
+
+module.exports = {
+  CasError: CasError,
+  CasValidationError: CasValidationError,
+  CasProxyError: CasProxyError,
+  CasPgtExpiredError: CasPgtExpiredError,
+  CasTransportError: CasTransportError,
+  CasResponseFormatError: CasResponseFormatError,
+  CasRedirectError: CasRedirectError
+};
@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * Gateway state kept in the session, shared by GatewayStrategy and the
+ * gateway route handlers:
+ *
+ *   attempts     gateway round trips to the CAS server per return URL, so
+ *                that gateway logins in two tabs do not interfere. Expire
+ *                after a while, so a stale count never blocks a later try.
+ *   anonymousAt  when the strategy last decided that the user is anonymous,
+ *                lets the route handlers reuse the decision for a while
+ *                instead of asking the CAS server on every request.
+ */
+const SESSION_KEY = "casGateway";
+
+// Max number of return URLs tracked per session
+const MAX_TRACKED_URLS = 20;
+
+function _state(session) {
+  let state = session[SESSION_KEY];
+  if (!state || typeof state !== "object") {
+    state = session[SESSION_KEY] = { attempts: {} };
+  }
+
+  const now = Date.now();
+  Object.keys(state.attempts).forEach(key => {
+    if (state.attempts[key].expires <= now) {
+      delete state.attempts[key];
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Number of unexpired gateway attempts for the return URL.
+ */
+function attempts(session, key) {
+  const entry = _state(session).attempts[key];
+  return entry ? entry.count : 0;
+}
+
+/**
+ * Count a gateway attempt for the return URL, forgotten after ttl seconds.
+ * Returns the new count.
+ */
+function addAttempt(session, key, ttl) {
+  const state = _state(session);
+  const entry = state.attempts[key] || { count: 0 };
+  entry.count += 1;
+  entry.expires = Date.now() + ttl * 1000;
+
+  delete state.attempts[key];
+  state.attempts[key] = entry;
+
+  // Drop the oldest entries, keys keep insertion order
+  const keys = Object.keys(state.attempts);
+  keys
+    .slice(0, Math.max(keys.length - MAX_TRACKED_URLS, 0))
+    .forEach(oldKey => delete state.attempts[oldKey]);
+
+  return entry.count;
+}
+
+function resetAttempts(session, key) {
+  delete _state(session).attempts[key];
+}
+
+/**
+ * Remember that the user was found to be anonymous, or forget it when
+ * anonymous is false.
+ */
+function setAnonymous(session, anonymous) {
+  const state = _state(session);
+  if (anonymous) {
+    state.anonymousAt = Date.now();
+  } else {
+    delete state.anonymousAt;
+  }
+}
+
+/**
+ * True when the user was found to be anonymous within the last ttl seconds.
+ */
+function isAnonymousFresh(session, ttl) {
+  const anonymousAt = _state(session).anonymousAt;
+  return !!anonymousAt && Date.now() - anonymousAt < ttl * 1000;
+}
+
+module.exports = {
+  attempts: attempts,
+  addAttempt: addAttempt,
+  resetAttempts: resetAttempts,
+  setAnonymous: setAnonymous,
+  isAnonymousFresh: isAnonymousFresh
+};
@@ -1,6 +1,33 @@
 module.exports = {
   Strategy: require("./cas-pgt-strategy").Strategy,
   getProxyTicket: require("./cas-pgt-strategy").getProxyTicket,
+  proxyTicketHelper: require("./proxy-ticket-helper"),
+  jwtTokens: require("./jwt-tokens"),
+  anonymousHelper: require("./anonymous").anonymousHelper,
+  isAnonymous: require("./anonymous").isAnonymous,
   GatewayStrategy: require("./cas-gateway-strategy").Strategy,
-  routeHandlers: require("./routeHandlers")
+  ProxyTicketStrategy: require("./cas-proxy-strategy").Strategy,
+  OidcStrategy: require("./cas-oidc-strategy").Strategy,
+  routeHandlers: require("./routeHandlers"),
+  authorization: require("./authorization"),
+  casResponseParser: require("./cas-response-parser"),
+  createTransport: require("./transport").createTransport,
+  createMockCasServer: require("./mock-cas-server").createMockCasServer,
+  auditEvents: require("./audit").defaultEvents,
+  createMetricsRegistry: require("./metrics").createMetricsRegistry,
+  createLogger: require("./logger").createLogger,
+  redact: require("./redact"),
+  resolveEndpoints: require("./endpoints").resolveEndpoints,
+  createRedirectPolicy: require("./safe-redirect").createRedirectPolicy,
+  createProxyPolicy: require("./proxy-policy").createProxyPolicy,
+  MemoryStore: require("./stores").MemoryStore,
+  RedisStore: require("./stores").RedisStore,
+  ValidationCache: require("./validation-cache").ValidationCache,
+  CasError: require("./errors").CasError,
+  CasValidationError: require("./errors").CasValidationError,
+  CasProxyError: require("./errors").CasProxyError,
+  CasPgtExpiredError: require("./errors").CasPgtExpiredError,
+  CasTransportError: require("./errors").CasTransportError,
+  CasResponseFormatError: require("./errors").CasResponseFormatError,
+  CasRedirectError: require("./errors").CasRedirectError
 };
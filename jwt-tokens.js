@@ -0,0 +1,429 @@
+"use strict";
+
+/**
+ * Signed JWTs for single-page apps and APIs, issued after the CAS login in
+ * addition to the Passport session.
+ *
+ *   issue(req, res, principal, authUser)  mint a token after the login, done
+ *                                         by getRedirectAuthenticatedUser
+ *                                         when given as its tokens option
+ *   tokenHandler                          route returning a new token for the
+ *                                         logged in user as JSON
+ *   requireToken(options)                 middleware verifying the bearer
+ *                                         token, sets req.casToken
+ *   revoke(req, res)                      revoke the tokens of the session,
+ *                                         done on logout by routeHandlers
+ *                                         when given as its tokens option
+ *   revokeSession(session)                the same for a session object, used
+ *                                         by Single Logout
+ *   verify(token)                         resolves to the claims
+ *
+ * Options:
+ *   algorithm        "HS256" (default) or "RS256"
+ *   secret           HS256 key, at least 32 bytes
+ *   privateKey       RS256 PEM private key, only needed to issue tokens
+ *   publicKey        RS256 PEM public key, default from privateKey
+ *   keyId            kid of the key, checked when verifying
+ *   issuer           iss claim, checked when verifying
+ *   audience         aud claim, a string or list, one must match
+ *   ttl              token lifetime in seconds, default 900
+ *   clockTolerance   seconds of clock skew accepted, default 30
+ *   claims           function(principal, authUser) returning the claims to
+ *                    add, default username, roles and groups of authUser
+ *   cookieName       also set the token in this HttpOnly cookie at login
+ *   cookieOptions    options for res.cookie, default secure, SameSite=Lax
+ *   revocationStore  store for revoked token ids, see stores.js. Default is
+ *                    in memory, use a shared store with several instances.
+ *                    Revoked ids must be kept until the tokens expire, the
+ *                    default refuses to revoke more than 100000 at a time.
+ *                    Revocation fails open on logout: when the store
+ *                    rejects, the session still ends but its tokens stay
+ *                    valid until they expire. The failure is logged.
+ *   gatewayUri       refresh by gateway, see requireToken
+ *   anonymousTtl     seconds an anonymous gateway result stops the refresh,
+ *                    default 60
+ *   events, logger   see audit.js and logger.js
+ */
+const crypto = require("crypto");
+const jwt = require("./jwt");
+const stores = require("./stores");
+const safeRedirect = require("./safe-redirect");
+const gatewayState = require("./gateway-state");
+const isAnonymous = require("./anonymous").isAnonymous;
+const audit = require("./audit");
+const logger = require("./logger");
+
+const defaults = {
+  algorithm: "HS256",
+  ttl: 900,
+  clockTolerance: 30,
+  anonymousTtl: 60
+};
+
+// Session keys for the ids of the tokens issued in the session, to revoke
+// them on logout, and the claims of the login to issue new tokens from
+const SESSION_IDS = "casJwtIds";
+const SESSION_CLAIMS = "casJwtClaims";
+// At most this many token ids are remembered per session
+const MAX_SESSION_IDS = 20;
+
+// Claims set by the issuer, not taken from the claims option
+const REGISTERED_CLAIMS = ["iss", "aud", "exp", "iat", "nbf", "jti"];
+
+function _defaultClaims(principal, authUser) {
+  const claims = {};
+  authUser = authUser || {};
+  ["username", "roles", "groups"].forEach(name => {
+    if (authUser[name] !== undefined) {
+      claims[name] = authUser[name];
+    }
+  });
+  return claims;
+}
+
+/**
+ * The token of a request, from the Authorization header or the cookie.
+ */
+function _readToken(req, cookieName) {
+  const authorization = req.headers && req.headers.authorization;
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization || "");
+  if (match) {
+    return match[1];
+  }
+
+  if (!cookieName) {
+    return undefined;
+  }
+  if (req.cookies && req.cookies[cookieName]) {
+    return req.cookies[cookieName];
+  }
+
+  const cookies = String((req.headers && req.headers.cookie) || "").split(";");
+  for (let i = 0; i < cookies.length; i++) {
+    const index = cookies[i].indexOf("=");
+    if (index > 0 && cookies[i].slice(0, index).trim() === cookieName) {
+      // A malformed cookie is no token, not an error
+      try {
+        return decodeURIComponent(cookies[i].slice(index + 1).trim());
+      } catch (err) {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+function jwtTokens(options) {
+  options = options || {};
+
+  const algorithm = options.algorithm || defaults.algorithm;
+  const ttl = options.ttl || defaults.ttl;
+  const clockTolerance =
+    options.clockTolerance !== undefined
+      ? options.clockTolerance
+      : defaults.clockTolerance;
+  const audience =
+    options.audience !== undefined ? [].concat(options.audience) : undefined;
+  const claimsFor = options.claims || _defaultClaims;
+  const cookieName = options.cookieName;
+  const cookieOptions = Object.assign(
+    { httpOnly: true, secure: true, sameSite: "lax", path: "/" },
+    options.cookieOptions
+  );
+  const revocationStore =
+    options.revocationStore ||
+    new stores.MemoryStore({
+      ttl: ttl + clockTolerance,
+      max: 100000,
+      evict: false
+    });
+  const anonymousTtl = options.anonymousTtl || defaults.anonymousTtl;
+  const events = options.events || audit.defaultEvents;
+  const log = logger.createLogger(options.logger);
+
+  let signingKey;
+  let verifyingKey;
+  if (algorithm === "HS256") {
+    if (!options.secret || Buffer.byteLength(options.secret) < 32) {
+      throw new TypeError("jwtTokens requires a secret of at least 32 bytes");
+    }
+    signingKey = options.secret;
+    verifyingKey = options.secret;
+  } else if (algorithm === "RS256") {
+    signingKey = options.privateKey;
+    verifyingKey =
+      options.publicKey ||
+      (options.privateKey &&
+        crypto
+          .createPublicKey(options.privateKey)
+          .export({ type: "spki", format: "pem" }));
+    if (!verifyingKey) {
+      throw new TypeError("jwtTokens requires a publicKey or privateKey");
+    }
+  } else {
+    throw new TypeError("jwtTokens does not support algorithm " + algorithm);
+  }
+
+  function _emit(type, details) {
+    audit.emitEvent(events, type, details, log);
+  }
+
+  function _remember(session, jti, exp) {
+    const now = Date.now() / 1000;
+    const ids = (session[SESSION_IDS] || []).filter(entry => entry.exp > now);
+    ids.push({ jti: jti, exp: exp });
+    session[SESSION_IDS] = ids.slice(-MAX_SESSION_IDS);
+  }
+
+  function _sign(claims, session) {
+    if (!signingKey) {
+      throw new Error("jwtTokens needs a privateKey to issue tokens");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = Object.assign({}, claims, {
+      iss: options.issuer,
+      aud: audience && (audience.length === 1 ? audience[0] : audience),
+      iat: now,
+      exp: now + ttl,
+      jti: jwt.base64UrlEncode(crypto.randomBytes(16))
+    });
+    if (session) {
+      _remember(session, payload.jti, payload.exp);
+    }
+
+    _emit("token.issued", { user: payload.sub, jti: payload.jti });
+    return {
+      token: jwt.sign(payload, {
+        algorithm: algorithm,
+        key: signingKey,
+        keyId: options.keyId
+      }),
+      expiresIn: ttl
+    };
+  }
+
+  /**
+   * Mint a token after the login. The claims are kept in the session so
+   * that tokenHandler can issue new ones.
+   */
+  function issue(req, res, principal, authUser) {
+    return Promise.resolve()
+      .then(() => claimsFor(principal, authUser))
+      .then(extraClaims => {
+        const claims = {};
+        Object.keys(extraClaims || {}).forEach(name => {
+          if (REGISTERED_CLAIMS.indexOf(name) < 0) {
+            claims[name] = extraClaims[name];
+          }
+        });
+        claims.sub = String(principal.user);
+
+        if (req.session) {
+          req.session[SESSION_CLAIMS] = claims;
+        }
+        const issued = _sign(claims, req.session);
+        if (cookieName && res) {
+          res.cookie(
+            cookieName,
+            issued.token,
+            Object.assign({ maxAge: ttl * 1000 }, cookieOptions)
+          );
+        }
+        return issued.token;
+      });
+  }
+
+  /**
+   * GET route returning { access_token, token_type, expires_in } for the
+   * logged in user, e.g. for a single-page app. Use after serverLogin.
+   */
+  function tokenHandler(req, res) {
+    const claims = req.session && req.session[SESSION_CLAIMS];
+    if (!req.user || isAnonymous(req.user) || !claims) {
+      return res.status(401).json({ error: "login_required" });
+    }
+
+    let issued;
+    try {
+      issued = _sign(claims, req.session);
+    } catch (err) {
+      log.error({ err: err }, "Could not issue a token");
+      return res.status(500).json({ error: "server_error" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.json({
+      access_token: issued.token,
+      token_type: "Bearer",
+      expires_in: issued.expiresIn
+    });
+  }
+
+  /**
+   * Verify a token, resolves to its claims or rejects with the reason.
+   */
+  function verify(token) {
+    let decoded;
+    try {
+      decoded = jwt.decode(token);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const header = decoded.header;
+    const claims = decoded.payload;
+    const now = Date.now() / 1000;
+
+    // The algorithm is configured, never taken from the token
+    if (header.alg !== algorithm) {
+      return Promise.reject(new Error("Unexpected algorithm " + header.alg));
+    }
+    if (options.keyId && header.kid !== options.keyId) {
+      return Promise.reject(new Error("Unknown key " + header.kid));
+    }
+    const valid =
+      algorithm === "HS256"
+        ? jwt.verifyHs256(decoded, verifyingKey)
+        : jwt.verifyRs256(decoded, verifyingKey);
+    if (!valid) {
+      return Promise.reject(new Error("Bad signature"));
+    }
+    if (options.issuer !== undefined && claims.iss !== options.issuer) {
+      return Promise.reject(new Error("Unexpected issuer " + claims.iss));
+    }
+    if (
+      audience &&
+      ![].concat(claims.aud).some(aud => audience.indexOf(aud) >= 0)
+    ) {
+      return Promise.reject(new Error("Not issued for this audience"));
+    }
+    if (typeof claims.exp !== "number" || claims.exp + clockTolerance < now) {
+      return Promise.reject(new Error("Token expired"));
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - clockTolerance > now) {
+      return Promise.reject(new Error("Token not yet valid"));
+    }
+
+    if (!claims.jti) {
+      return Promise.resolve(claims);
+    }
+    return revocationStore.get(claims.jti).then(revoked => {
+      if (revoked) {
+        throw new Error("Token revoked");
+      }
+      return claims;
+    });
+  }
+
+  /**
+   * Middleware letting requests with a valid token through, the claims are
+   * set as req.casToken. Other requests get 401, except that with
+   * gatewayUri browser navigations are sent through the gateway login to
+   * get a new token while the user still has a CAS session.
+   *
+   * @param requireOptions - { optional: true } lets requests without a
+   * valid token through without req.casToken
+   */
+  function requireToken(requireOptions) {
+    requireOptions = requireOptions || {};
+    const gatewayUri = requireOptions.gatewayUri || options.gatewayUri;
+
+    function _canRefresh(req) {
+      return (
+        gatewayUri &&
+        req.method === "GET" &&
+        req.session &&
+        typeof req.accepts === "function" &&
+        req.accepts(["json", "html"]) === "html" &&
+        // The gateway just found the user anonymous, do not loop
+        !gatewayState.isAnonymousFresh(req.session, anonymousTtl)
+      );
+    }
+
+    return (req, res, next) => {
+      const token = _readToken(req, cookieName);
+      const verified = token
+        ? verify(token)
+        : Promise.reject(new Error("No token"));
+
+      verified.then(
+        claims => {
+          req.casToken = claims;
+          next();
+        },
+        err => {
+          if (token) {
+            log.debug({ err: err }, "Rejected token");
+            _emit("token.rejected", { reason: err.message });
+          }
+          if (requireOptions.optional) {
+            return next();
+          }
+          if (_canRefresh(req)) {
+            return res.redirect(
+              safeRedirect.loginRedirectUrl(gatewayUri, req.originalUrl)
+            );
+          }
+
+          res.setHeader(
+            "WWW-Authenticate",
+            token ? 'Bearer error="invalid_token"' : "Bearer"
+          );
+          return res.status(401).json({
+            error: token ? "invalid_token" : "login_required"
+          });
+        }
+      );
+    };
+  }
+
+  /**
+   * Revoke the tokens issued in a session, e.g. a session about to be
+   * destroyed by Single Logout.
+   */
+  function revokeSession(session) {
+    const ids = (session && session[SESSION_IDS]) || [];
+    const now = Date.now() / 1000;
+    return Promise.all(
+      ids
+        .filter(entry => entry.exp + clockTolerance > now)
+        .map(entry =>
+          revocationStore.set(
+            entry.jti,
+            true,
+            Math.ceil(entry.exp + clockTolerance - now)
+          )
+        )
+    ).then(() => {
+      if (session) {
+        delete session[SESSION_IDS];
+        delete session[SESSION_CLAIMS];
+      }
+      if (ids.length) {
+        _emit("token.revoked", { count: ids.length });
+      }
+    });
+  }
+
+  /**
+   * Revoke the tokens of the session of a request and clear the cookie.
+   */
+  function revoke(req, res) {
+    if (cookieName && res && typeof res.clearCookie === "function") {
+      res.clearCookie(cookieName, cookieOptions);
+    }
+    return revokeSession(req.session);
+  }
+
+  return {
+    issue: issue,
+    tokenHandler: tokenHandler,
+    requireToken: requireToken,
+    revoke: revoke,
+    revokeSession: revokeSession,
+    verify: verify
+  };
+}
+
+module.exports = jwtTokens;
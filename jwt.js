@@ -0,0 +1,191 @@
+"use strict";
+
+/**
+ * The parts of JSON Web Tokens (RFC 7519) needed by the package, with only
+ * the crypto module of Node 12. JWKs are converted to PEM by hand since
+ * crypto.createPublicKey only takes JWKs from Node 15.
+ *
+ * Supported algorithms are HS256 (a shared secret) and RS256 (PEM keys).
+ */
+const crypto = require("crypto");
+
+function base64UrlEncode(value) {
+  return Buffer.from(value)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(
+    String(value)
+      .replace(/-/g, "+")
+      .replace(/_/g, "/"),
+    "base64"
+  );
+}
+
+/**
+ * Split a compact JWT into its decoded header and payload, without checking
+ * the signature. Throws on anything that is not a JWT.
+ */
+function decode(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error("Malformed JWT");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+  } catch (err) {
+    throw new Error("Malformed JWT: " + err.message);
+  }
+  if (!header || typeof header !== "object" || !payload) {
+    throw new Error("Malformed JWT");
+  }
+
+  return {
+    header: header,
+    payload: payload,
+    signingInput: parts[0] + "." + parts[1],
+    signature: base64UrlDecode(parts[2])
+  };
+}
+
+function _derLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  while (length > 0) {
+    bytes.unshift(length & 0xff);
+    length = length >> 8;
+  }
+  return Buffer.from([0x80 | bytes.length].concat(bytes));
+}
+
+function _der(tag, content) {
+  return Buffer.concat([
+    Buffer.from([tag]),
+    _derLength(content.length),
+    content
+  ]);
+}
+
+function _derInteger(bytes) {
+  // Positive integers must not start with the sign bit set
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return _der(0x02, bytes);
+}
+
+// AlgorithmIdentifier for rsaEncryption (1.2.840.113549.1.1.1) with NULL
+const RSA_ALGORITHM = Buffer.from("300d06092a864886f70d0101010500", "hex");
+
+/**
+ * Convert an RSA public JWK ({ kty: "RSA", n, e }) to a PEM encoded
+ * SubjectPublicKeyInfo.
+ */
+function jwkToPem(jwk) {
+  if (!jwk || jwk.kty !== "RSA" || !jwk.n || !jwk.e) {
+    throw new Error("Only RSA public keys are supported");
+  }
+
+  const rsaPublicKey = _der(
+    0x30,
+    Buffer.concat([
+      _derInteger(base64UrlDecode(jwk.n)),
+      _derInteger(base64UrlDecode(jwk.e))
+    ])
+  );
+  const spki = _der(
+    0x30,
+    Buffer.concat([
+      RSA_ALGORITHM,
+      _der(0x03, Buffer.concat([Buffer.from([0]), rsaPublicKey]))
+    ])
+  );
+
+  const lines = spki.toString("base64").match(/.{1,64}/g);
+  return (
+    "-----BEGIN PUBLIC KEY-----\n" +
+    lines.join("\n") +
+    "\n-----END PUBLIC KEY-----\n"
+  );
+}
+
+/**
+ * Check the RS256 signature of a decoded JWT with a PEM public key.
+ */
+function verifyRs256(decoded, publicKey) {
+  return crypto
+    .createVerify("RSA-SHA256")
+    .update(decoded.signingInput)
+    .verify(publicKey, decoded.signature);
+}
+
+function _hs256(signingInput, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(signingInput)
+    .digest();
+}
+
+/**
+ * Check the HS256 signature of a decoded JWT with the shared secret.
+ */
+function verifyHs256(decoded, secret) {
+  const expected = _hs256(decoded.signingInput, secret);
+  return (
+    decoded.signature.length === expected.length &&
+    crypto.timingSafeEqual(decoded.signature, expected)
+  );
+}
+
+/**
+ * Sign a payload into a compact JWT.
+ *
+ * @param payload - the claims
+ * @param options - { algorithm: "HS256" or "RS256", key: the secret or the
+ * PEM private key, keyId: optional kid header }
+ */
+function sign(payload, options) {
+  const header = { alg: options.algorithm, typ: "JWT" };
+  if (options.keyId) {
+    header.kid = options.keyId;
+  }
+
+  const signingInput =
+    base64UrlEncode(JSON.stringify(header)) +
+    "." +
+    base64UrlEncode(JSON.stringify(payload));
+
+  let signature;
+  if (options.algorithm === "HS256") {
+    signature = _hs256(signingInput, options.key);
+  } else if (options.algorithm === "RS256") {
+    signature = crypto
+      .createSign("RSA-SHA256")
+      .update(signingInput)
+      .sign(options.key);
+  } else {
+    throw new Error("Unsupported JWT algorithm " + options.algorithm);
+  }
+
+  return signingInput + "." + base64UrlEncode(signature);
+}
+
+module.exports = {
+  base64UrlEncode: base64UrlEncode,
+  base64UrlDecode: base64UrlDecode,
+  decode: decode,
+  jwkToPem: jwkToPem,
+  verifyRs256: verifyRs256,
+  verifyHs256: verifyHs256,
+  sign: sign
+};
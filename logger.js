@@ -0,0 +1,69 @@
+"use strict";
+
+/**
+ * The logger used by the package, given as the `logger` option to the
+ * strategies, route handlers, proxyTicketHelper and getProxyTicket.
+ *
+ * Any object with debug, info, warn and error functions taking the
+ * arguments of kth-node-log (bunyan), e.g. log.info({ err }, "message"),
+ * can be used. Everything logged is redacted first, see redact.js.
+ *
+ * Without a logger kth-node-log is used when installed, otherwise warnings
+ * and errors go to the console.
+ */
+const redactValue = require("./redact").redactValue;
+
+const levels = ["debug", "info", "warn", "error"];
+
+const consoleLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+let kthNodeLog;
+
+// kth-node-log is only required when something is logged without a logger
+function _kthNodeLog() {
+  if (kthNodeLog === undefined) {
+    try {
+      kthNodeLog = require("kth-node-log");
+    } catch (err) {
+      kthNodeLog = consoleLogger;
+    }
+  }
+  return kthNodeLog;
+}
+
+/**
+ * Wrap a logger so that everything logged through it is redacted.
+ */
+function createLogger(logger) {
+  if (logger && logger.casRedacting === true) {
+    return logger;
+  }
+
+  levels.forEach(level => {
+    if (logger && typeof logger[level] !== "function") {
+      throw new TypeError("logger requires a function for " + level);
+    }
+  });
+
+  const redacting = { casRedacting: true };
+  levels.forEach(level => {
+    redacting[level] = function() {
+      const target = logger || _kthNodeLog();
+      const args = Array.prototype.slice.call(arguments).map(redactValue);
+      return target[level].apply(target, args);
+    };
+  });
+  return redacting;
+}
+
+const defaultLogger = createLogger();
+
+module.exports = {
+  createLogger: createLogger,
+  defaultLogger: defaultLogger
+};
@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * Optional Prometheus style metrics for the events in audit.js.
+ *
+ *   const metrics = createMetricsRegistry()
+ *   metrics.attach(events)
+ *   app.get('/_monitor/metrics', (req, res) => res.type('text/plain').send(metrics.metrics()))
+ *
+ * Exposes:
+ *   cas_events_total{type}                     counter of all events
+ *   cas_validation_failures_total{code}        counter of failed validations
+ *   cas_request_duration_seconds{type}         histogram of event latencies
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function _escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function _labels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) {
+    return "";
+  }
+  return (
+    "{" +
+    names
+      .map(name => name + '="' + _escapeLabel(labels[name]) + '"')
+      .join(",") +
+    "}"
+  );
+}
+
+/**
+ * A counter with labels.
+ */
+function Counter(name, help) {
+  this.name = name;
+  this.help = help;
+  this.values = new Map();
+}
+
+Counter.prototype.inc = function(labels, value) {
+  const key = _labels(labels || {});
+  this.values.set(key, (this.values.get(key) || 0) + (value || 1));
+};
+
+Counter.prototype.get = function(labels) {
+  return this.values.get(_labels(labels || {})) || 0;
+};
+
+Counter.prototype.format = function() {
+  const lines = [
+    "# HELP " + this.name + " " + this.help,
+    "# TYPE " + this.name + " counter"
+  ];
+  this.values.forEach((value, key) =>
+    lines.push(this.name + key + " " + value)
+  );
+  return lines.join("\n");
+};
+
+/**
+ * A histogram with labels and fixed buckets.
+ */
+function Histogram(name, help, buckets) {
+  this.name = name;
+  this.help = help;
+  this.buckets = buckets || DEFAULT_BUCKETS;
+  this.values = new Map();
+}
+
+Histogram.prototype.observe = function(labels, value) {
+  labels = labels || {};
+  const key = _labels(labels);
+  let entry = this.values.get(key);
+  if (!entry) {
+    entry = {
+      labels: labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    this.values.set(key, entry);
+  }
+
+  this.buckets.forEach((bucket, i) => {
+    if (value <= bucket) {
+      entry.counts[i] += 1;
+    }
+  });
+  entry.sum += value;
+  entry.count += 1;
+};
+
+Histogram.prototype.format = function() {
+  const lines = [
+    "# HELP " + this.name + " " + this.help,
+    "# TYPE " + this.name + " histogram"
+  ];
+  this.values.forEach((entry, key) => {
+    this.buckets.forEach((bucket, i) => {
+      const labels = Object.assign({}, entry.labels, { le: String(bucket) });
+      lines.push(
+        this.name + "_bucket" + _labels(labels) + " " + entry.counts[i]
+      );
+    });
+    const labels = Object.assign({}, entry.labels, { le: "+Inf" });
+    lines.push(this.name + "_bucket" + _labels(labels) + " " + entry.count);
+    lines.push(this.name + "_sum" + key + " " + entry.sum);
+    lines.push(this.name + "_count" + key + " " + entry.count);
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Create a registry with the CAS metrics.
+ *
+ * @param options - { buckets } histogram buckets in seconds
+ */
+function createMetricsRegistry(options) {
+  options = options || {};
+
+  const events = new Counter("cas_events_total", "CAS authentication events");
+  const failures = new Counter(
+    "cas_validation_failures_total",
+    "Failed CAS ticket validations by code"
+  );
+  const durations = new Histogram(
+    "cas_request_duration_seconds",
+    "Latency of CAS authentication steps",
+    options.buckets
+  );
+
+  function record(event) {
+    events.inc({ type: event.type });
+    if (event.type === "validation.failed") {
+      failures.inc({ code: event.code });
+    }
+    if (typeof event.latency === "number") {
+      durations.observe({ type: event.type }, event.latency / 1000);
+    }
+  }
+
+  /**
+   * Record all events of an emitter, returns a function that detaches.
+   */
+  function attach(emitter) {
+    emitter.on("event", record);
+    return () => emitter.removeListener("event", record);
+  }
+
+  /**
+   * The metrics in the Prometheus text exposition format.
+   */
+  function metrics() {
+    return (
+      [events, failures, durations].map(metric => metric.format()).join("\n") +
+      "\n"
+    );
+  }
+
+  return {
+    events: events,
+    failures: failures,
+    durations: durations,
+    record: record,
+    attach: attach,
+    metrics: metrics
+  };
+}
+
+module.exports = {
+  Counter: Counter,
+  Histogram: Histogram,
+  createMetricsRegistry: createMetricsRegistry
+};
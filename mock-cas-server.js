@@ -0,0 +1,538 @@
+"use strict";
+
+/**
+ * A mock CAS server for integration tests and offline development, a plain
+ * http server implementing the CAS 2.0/3.0 protocol:
+ *
+ *   /login                 user picker, single sign-on, gateway and renew
+ *   /logout                ends the SSO session, optionally Single Logout
+ *   /serviceValidate       and /p3/serviceValidate
+ *   /proxyValidate         and /p3/proxyValidate
+ *   /proxy                 proxy tickets from proxy granting tickets
+ *
+ * Tickets behave like on a real CAS server: they are single use, expire and
+ * are only valid for the service they were issued for. Proxy granting
+ * tickets are delivered to the pgtUrl before the validation is answered.
+ *
+ * Options:
+ *   users            object of username -> attributes, default one user u1test
+ *   pickUser         function(req, query) returning (or resolving to) the
+ *                    username to log in, or null to show the user picker page
+ *   ticketTtl        service and proxy ticket lifetime in seconds, default 10
+ *   pgtTtl           proxy granting ticket lifetime in seconds, default 7200
+ *   singleLogout     POST a SAML LogoutRequest to the services of a session
+ *                    on logout, default false
+ *   transport        HTTP transport for PGT callbacks and Single Logout
+ *
+ * Usage:
+ *   const cas = createMockCasServer({ users: { u1test: { mail: 'u1test@kth.se' } } })
+ *   const casUrl = await cas.listen()
+ *   ...
+ *   await cas.close()
+ */
+const http = require("http");
+const crypto = require("crypto");
+const url = require("url");
+const querystring = require("querystring");
+const transport = require("./transport");
+
+const defaultUsers = {
+  u1test: {
+    displayName: "Test User",
+    mail: "u1test@kth.se",
+    memberOf: ["app.test.users"]
+  }
+};
+
+function _escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function _serviceResponse(content) {
+  return (
+    "<cas:serviceResponse xmlns:cas='http://www.yale.edu/tp/cas'>\n" +
+    content +
+    "\n</cas:serviceResponse>\n"
+  );
+}
+
+function _failureResponse(element, code, message) {
+  return _serviceResponse(
+    "  <cas:" +
+      element +
+      ' code="' +
+      code +
+      '">' +
+      _escapeXml(message) +
+      "</cas:" +
+      element +
+      ">"
+  );
+}
+
+function _attributesXml(attributes) {
+  return Object.keys(attributes)
+    .map(name =>
+      []
+        .concat(attributes[name])
+        .map(
+          value =>
+            "      <cas:" +
+            name +
+            ">" +
+            _escapeXml(value) +
+            "</cas:" +
+            name +
+            ">"
+        )
+    )
+    .reduce((all, lines) => all.concat(lines), [])
+    .join("\n");
+}
+
+function _logoutRequest(nameId, sessionIndex) {
+  return (
+    '<samlp:LogoutRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"' +
+    ' xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="LR-' +
+    crypto.randomBytes(8).toString("hex") +
+    '" Version="2.0" IssueInstant="' +
+    new Date().toISOString() +
+    '"><saml:NameID>' +
+    _escapeXml(nameId) +
+    "</saml:NameID><samlp:SessionIndex>" +
+    _escapeXml(sessionIndex) +
+    "</samlp:SessionIndex></samlp:LogoutRequest>"
+  );
+}
+
+/**
+ * The service URL with a query parameter appended, keeping the service URL
+ * exactly as given since it is matched at validation.
+ */
+function _appendParameter(service, name, value) {
+  return (
+    service +
+    (service.indexOf("?") >= 0 ? "&" : "?") +
+    name +
+    "=" +
+    encodeURIComponent(value)
+  );
+}
+
+function _cookies(req) {
+  const cookies = {};
+  (req.headers.cookie || "").split(";").forEach(cookie => {
+    const index = cookie.indexOf("=");
+    if (index > 0) {
+      cookies[cookie.slice(0, index).trim()] = cookie.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+function createMockCasServer(options) {
+  options = options || {};
+
+  const users = options.users || defaultUsers;
+  const pickUser = options.pickUser || (() => null);
+  const ticketTtl = (options.ticketTtl || 10) * 1000;
+  const pgtTtl = (options.pgtTtl || 7200) * 1000;
+  const singleLogout = options.singleLogout === true;
+  const casTransport = options.transport || transport.defaultTransport;
+
+  // ticket -> { service, user, expires, fromNewLogin, proxies, tgt }
+  const serviceTickets = new Map();
+  // pgtId -> { user, expires, proxies }
+  const proxyGrantingTickets = new Map();
+  // tgt -> { user, services: [{ service, ticket }] }
+  const ticketGrantingTickets = new Map();
+
+  let counter = 0;
+
+  function _ticketId(prefix) {
+    counter += 1;
+    return (
+      prefix + "-" + counter + "-" + crypto.randomBytes(16).toString("hex")
+    );
+  }
+
+  function _prune(tickets) {
+    const now = Date.now();
+    tickets.forEach((ticket, id) => {
+      if (ticket.expires <= now) {
+        tickets.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Issue a service ticket (or with proxies, a proxy ticket) directly,
+   * e.g. for tests that do not go through /login.
+   */
+  function issueTicket(service, user, ticketOptions) {
+    ticketOptions = ticketOptions || {};
+    _prune(serviceTickets);
+
+    const proxies = ticketOptions.proxies || [];
+    const ticket = _ticketId(proxies.length ? "PT" : "ST");
+    serviceTickets.set(ticket, {
+      service: service,
+      user: user,
+      expires: Date.now() + ticketTtl,
+      fromNewLogin: ticketOptions.fromNewLogin !== false,
+      proxies: proxies,
+      tgt: ticketOptions.tgt
+    });
+
+    const tgt = ticketGrantingTickets.get(ticketOptions.tgt);
+    if (tgt) {
+      tgt.services.push({ service: service, ticket: ticket });
+    }
+    return ticket;
+  }
+
+  function _send(res, statusCode, body, headers) {
+    res.writeHead(
+      statusCode,
+      Object.assign({ "Content-Type": "text/xml; charset=utf-8" }, headers)
+    );
+    res.end(body);
+  }
+
+  function _redirect(res, location, headers) {
+    res.writeHead(302, Object.assign({ Location: location }, headers));
+    res.end();
+  }
+
+  function _pickerPage(query) {
+    const links = Object.keys(users)
+      .map(username => {
+        const href =
+          "login?" +
+          querystring.stringify(
+            Object.assign({}, query, { username: username })
+          );
+        return (
+          '<li><a href="' +
+          _escapeXml(href) +
+          '">' +
+          _escapeXml(username) +
+          "</a></li>"
+        );
+      })
+      .join("");
+    return (
+      '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Mock CAS login</title></head>' +
+      "<body><h1>Mock CAS login</h1><p>Log in as:</p><ul>" +
+      links +
+      "</ul></body></html>"
+    );
+  }
+
+  function _login(req, res, query) {
+    const service = query.service;
+    const renew = query.renew === "true";
+    const gateway = query.gateway === "true" && !renew;
+    const tgtId = _cookies(req).CASTGC;
+    const tgt = ticketGrantingTickets.get(tgtId);
+
+    function loggedIn(user, newTgtId, fromNewLogin) {
+      const headers = newTgtId
+        ? { "Set-Cookie": "CASTGC=" + newTgtId + "; Path=/; HttpOnly" }
+        : {};
+      if (!service) {
+        res.writeHead(
+          200,
+          Object.assign({ "Content-Type": "text/html" }, headers)
+        );
+        return res.end("<p>Logged in as " + _escapeXml(user) + "</p>");
+      }
+
+      const ticket = issueTicket(service, user, {
+        fromNewLogin: fromNewLogin,
+        tgt: newTgtId || tgtId
+      });
+      return _redirect(
+        res,
+        _appendParameter(service, "ticket", ticket),
+        headers
+      );
+    }
+
+    function newLogin(user) {
+      const newTgtId = _ticketId("TGT");
+      ticketGrantingTickets.set(newTgtId, { user: user, services: [] });
+      return loggedIn(user, newTgtId, true);
+    }
+
+    if (query.username) {
+      if (!Object.prototype.hasOwnProperty.call(users, query.username)) {
+        res.writeHead(401, { "Content-Type": "text/html" });
+        return res.end(
+          _pickerPage(Object.assign({}, query, { username: undefined }))
+        );
+      }
+      return newLogin(query.username);
+    }
+
+    if (tgt && !renew) {
+      return loggedIn(tgt.user, null, false);
+    }
+
+    if (gateway) {
+      return service ? _redirect(res, service) : _send(res, 200, "");
+    }
+
+    return Promise.resolve(pickUser(req, query)).then(user => {
+      if (user) {
+        return newLogin(user);
+      }
+      const pickerQuery = Object.assign({}, query);
+      delete pickerQuery.username;
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(_pickerPage(pickerQuery));
+    });
+  }
+
+  function _logout(req, res, query) {
+    const tgtId = _cookies(req).CASTGC;
+    const tgt = ticketGrantingTickets.get(tgtId);
+    ticketGrantingTickets.delete(tgtId);
+
+    const notified =
+      tgt && singleLogout
+        ? Promise.all(
+            tgt.services.map(entry =>
+              casTransport
+                .request({
+                  url: entry.service,
+                  method: "POST",
+                  headers: {
+                    "Content-Type": "application/x-www-form-urlencoded"
+                  },
+                  body: querystring.stringify({
+                    logoutRequest: _logoutRequest(tgt.user, entry.ticket)
+                  })
+                })
+                .catch(() => undefined)
+            )
+          )
+        : Promise.resolve();
+
+    return notified.then(() => {
+      const headers = { "Set-Cookie": "CASTGC=; Path=/; Max-Age=0" };
+      if (query.service) {
+        return _redirect(res, query.service, headers);
+      }
+      res.writeHead(
+        200,
+        Object.assign({ "Content-Type": "text/html" }, headers)
+      );
+      res.end("<p>Logged out</p>");
+    });
+  }
+
+  /**
+   * Deliver a new PGT to the pgtUrl, resolves to the pgtIou or to undefined
+   * when the callback failed.
+   */
+  function _grantPgt(pgtUrl, user, proxies) {
+    const pgtId = _ticketId("PGT");
+    const pgtIou = _ticketId("PGTIOU");
+
+    return casTransport
+      .request({
+        url: _appendParameter(
+          _appendParameter(pgtUrl, "pgtIou", pgtIou),
+          "pgtId",
+          pgtId
+        )
+      })
+      .then(response => {
+        if (response.statusCode !== 200) {
+          return undefined;
+        }
+        _prune(proxyGrantingTickets);
+        proxyGrantingTickets.set(pgtId, {
+          user: user,
+          expires: Date.now() + pgtTtl,
+          proxies: [pgtUrl].concat(proxies)
+        });
+        return pgtIou;
+      })
+      .catch(() => undefined);
+  }
+
+  function _validate(res, query, allowProxyTickets, withAttributes) {
+    const failure = (code, message) =>
+      _send(res, 200, _failureResponse("authenticationFailure", code, message));
+
+    if (!query.ticket || !query.service) {
+      return failure("INVALID_REQUEST", "ticket and service are required");
+    }
+
+    const ticket = serviceTickets.get(query.ticket);
+    // Tickets are single use, also when the validation fails
+    serviceTickets.delete(query.ticket);
+
+    if (!ticket || ticket.expires <= Date.now()) {
+      return failure(
+        "INVALID_TICKET",
+        "Ticket " + query.ticket + " not recognized"
+      );
+    }
+    if (ticket.proxies.length && !allowProxyTickets) {
+      return failure(
+        "INVALID_TICKET_SPEC",
+        "Proxy tickets are not accepted by serviceValidate"
+      );
+    }
+    if (ticket.service !== query.service) {
+      return failure(
+        "INVALID_SERVICE",
+        "Ticket was issued for " + ticket.service
+      );
+    }
+    if (query.renew === "true" && !ticket.fromNewLogin) {
+      return failure("INVALID_TICKET", "Ticket not from a renewed login");
+    }
+
+    const pgtIou = query.pgtUrl
+      ? _grantPgt(query.pgtUrl, ticket.user, ticket.proxies)
+      : Promise.resolve(undefined);
+
+    return pgtIou.then(iou => {
+      const lines = ["  <cas:authenticationSuccess>"];
+      lines.push("    <cas:user>" + _escapeXml(ticket.user) + "</cas:user>");
+      if (withAttributes) {
+        const attributes = Object.assign({}, users[ticket.user], {
+          isFromNewLogin: String(ticket.fromNewLogin),
+          longTermAuthenticationRequestTokenUsed: "false",
+          authenticationDate: new Date().toISOString()
+        });
+        lines.push("    <cas:attributes>");
+        lines.push(_attributesXml(attributes));
+        lines.push("    </cas:attributes>");
+      }
+      if (iou) {
+        lines.push(
+          "    <cas:proxyGrantingTicket>" + iou + "</cas:proxyGrantingTicket>"
+        );
+      }
+      if (ticket.proxies.length) {
+        lines.push("    <cas:proxies>");
+        ticket.proxies.forEach(proxy =>
+          lines.push("      <cas:proxy>" + _escapeXml(proxy) + "</cas:proxy>")
+        );
+        lines.push("    </cas:proxies>");
+      }
+      lines.push("  </cas:authenticationSuccess>");
+      _send(res, 200, _serviceResponse(lines.join("\n")));
+    });
+  }
+
+  function _proxy(res, query) {
+    const failure = (code, message) =>
+      _send(res, 200, _failureResponse("proxyFailure", code, message));
+
+    if (!query.pgt || !query.targetService) {
+      return failure("INVALID_REQUEST", "pgt and targetService are required");
+    }
+
+    const pgt = proxyGrantingTickets.get(query.pgt);
+    if (!pgt || pgt.expires <= Date.now()) {
+      return failure(
+        "INVALID_TICKET",
+        "Ticket " + query.pgt + " not recognized"
+      );
+    }
+
+    const ticket = issueTicket(query.targetService, pgt.user, {
+      proxies: pgt.proxies
+    });
+    return _send(
+      res,
+      200,
+      _serviceResponse(
+        "  <cas:proxySuccess>\n    <cas:proxyTicket>" +
+          ticket +
+          "</cas:proxyTicket>\n  </cas:proxySuccess>"
+      )
+    );
+  }
+
+  function _handle(req, res) {
+    const parsed = url.parse(req.url, true);
+    const query = parsed.query;
+
+    switch (parsed.pathname) {
+      case "/login":
+        return _login(req, res, query);
+      case "/logout":
+        return _logout(req, res, query);
+      case "/serviceValidate":
+        return _validate(res, query, false, false);
+      case "/p3/serviceValidate":
+        return _validate(res, query, false, true);
+      case "/proxyValidate":
+        return _validate(res, query, true, false);
+      case "/p3/proxyValidate":
+        return _validate(res, query, true, true);
+      case "/proxy":
+        return _proxy(res, query);
+      default:
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        return res.end("Not found");
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    Promise.resolve()
+      .then(() => _handle(req, res))
+      .catch(err => {
+        if (!res.headersSent) {
+          res.writeHead(500, { "Content-Type": "text/plain" });
+        }
+        res.end(String(err && err.message));
+      });
+  });
+
+  /**
+   * Start listening, resolves to the base URL of the mock CAS server.
+   * Listens on a random port of 127.0.0.1 by default.
+   */
+  function listen(port, host) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port || 0, host || "127.0.0.1", () => {
+        server.removeListener("error", reject);
+        const address = server.address();
+        resolve("http://" + address.address + ":" + address.port);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve, reject) => {
+      server.close(err => (err ? reject(err) : resolve()));
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+    });
+  }
+
+  return {
+    server: server,
+    listen: listen,
+    close: close,
+    issueTicket: issueTicket
+  };
+}
+
+module.exports = {
+  createMockCasServer: createMockCasServer
+};
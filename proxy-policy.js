@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * Which services tickets may be validated for and which proxy chains they
+ * may have passed through, shared by Strategy and ProxyTicketStrategy.
+ *
+ * Options:
+ *   allowedProxyChains  list of accepted proxy chains, each a list of proxy
+ *                       URL patterns with the most recent proxy first.
+ *                       [] accepts direct service tickets only, any chain is
+ *                       accepted when not set.
+ *   allowedServices     list of service URL patterns, any service is
+ *                       accepted when not set
+ *
+ * A pattern is a RegExp, a string that must be equal, or a string ending
+ * with * that the value must start with, e.g. "https://app.kth.se/app/*".
+ *
+ * Violations are CasValidationErrors with code SERVICE_NOT_ALLOWED or
+ * PROXY_CHAIN_NOT_ALLOWED.
+ */
+const errors = require("./errors");
+
+function _matches(pattern, value) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(value);
+  }
+  if (typeof pattern === "string" && pattern.slice(-1) === "*") {
+    return (
+      typeof value === "string" && value.indexOf(pattern.slice(0, -1)) === 0
+    );
+  }
+  return pattern === value;
+}
+
+/**
+ * Direct tickets (no proxies) are always allowed. A proxied ticket must
+ * match one of the configured chains exactly, proxy by proxy.
+ */
+function isAllowedChain(proxies, allowedProxyChains) {
+  if (allowedProxyChains === undefined) {
+    return true;
+  }
+  if (!proxies.length) {
+    return true;
+  }
+
+  return allowedProxyChains.some(
+    chain =>
+      chain.length === proxies.length &&
+      chain.every((pattern, i) => _matches(pattern, proxies[i]))
+  );
+}
+
+function isAllowedService(service, allowedServices) {
+  if (allowedServices === undefined) {
+    return true;
+  }
+  return allowedServices.some(pattern => _matches(pattern, service));
+}
+
+function _checkList(name, value) {
+  if (value !== undefined && !Array.isArray(value)) {
+    throw new TypeError("Proxy policy requires " + name + " to be a list");
+  }
+}
+
+function createProxyPolicy(options) {
+  options = options || {};
+
+  const allowedProxyChains = options.allowedProxyChains;
+  const allowedServices = options.allowedServices;
+  _checkList("allowedProxyChains", allowedProxyChains);
+  _checkList("allowedServices", allowedServices);
+  (allowedProxyChains || []).forEach(chain =>
+    _checkList("each of allowedProxyChains", chain)
+  );
+
+  /**
+   * Throws when tickets may not be validated for the service.
+   */
+  function checkService(service) {
+    if (!isAllowedService(service, allowedServices)) {
+      throw new errors.CasValidationError("Service not allowed: " + service, {
+        code: "SERVICE_NOT_ALLOWED",
+        service: service
+      });
+    }
+  }
+
+  /**
+   * Throws when the proxy chain of a validation result is not allowed,
+   * otherwise returns the result.
+   */
+  function checkResult(result, service) {
+    const proxies = result.proxies || [];
+    if (isAllowedChain(proxies, allowedProxyChains)) {
+      return result;
+    }
+
+    const message =
+      allowedProxyChains.length === 0
+        ? "Only direct service tickets are allowed, proxied by: "
+        : "Proxy chain not allowed: ";
+    throw new errors.CasValidationError(message + proxies.join(", "), {
+      code: "PROXY_CHAIN_NOT_ALLOWED",
+      ticket: result.ticket,
+      service: service
+    });
+  }
+
+  return {
+    checkService: checkService,
+    checkResult: checkResult
+  };
+}
+
+module.exports = {
+  createProxyPolicy: createProxyPolicy,
+  isAllowedChain: isAllowedChain,
+  isAllowedService: isAllowedService
+};
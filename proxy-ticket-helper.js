@@ -0,0 +1,109 @@
+"use strict";
+
+const getProxyTicket = require("./cas-pgt-strategy").getProxyTicket;
+const stores = require("./stores");
+const CasPgtExpiredError = require("./errors").CasPgtExpiredError;
+
+/**
+ * Middleware adding req.getProxyTicket(targetService), which requests a
+ * proxy ticket with the proxy granting ticket of the logged in user.
+ *
+ * The pgtIou is read from the session (saved there by authLoginHandler, or
+ * as authUser.pgtIou by unpackLdapUser) and resolved to the PGT through the
+ * PGT store. When there is no valid PGT the promise is rejected with a
+ * CasPgtExpiredError, so the app can send the user to log in again.
+ *
+ * Options:
+ *   ssoBaseURL    base URL of the CAS server
+ *   pgtStore      the same store as given to Strategy and routeHandlers
+ *   cacheTickets  reuse a proxy ticket per target service until close to
+ *                 its expiry. Only useful when the target service caches
+ *                 validations, CAS proxy tickets are single use by default.
+ *   ticketTtl     proxy ticket lifetime in seconds, default 10
+ *   expiryMargin  seconds before expiry a cached ticket is dropped, default 2
+ *   transport     HTTP transport, see transport.js
+ *   endpoints     overrides of single CAS endpoints, see endpoints.js
+ *   events        EventEmitter for audit events, see audit.js
+ *   logger        see logger.js
+ */
+function proxyTicketHelper(options) {
+  options = options || {};
+
+  const ssoBaseURL = options.ssoBaseURL;
+  if (!ssoBaseURL || typeof ssoBaseURL !== "string") {
+    throw Error("Missing options.ssoBaseURL when setting up proxy tickets");
+  }
+
+  const pgtStore = options.pgtStore || stores.defaultPgtStore;
+  const ticketTtl = options.ticketTtl || 10;
+  const expiryMargin =
+    options.expiryMargin !== undefined ? options.expiryMargin : 2;
+  const ticketCache = options.cacheTickets
+    ? new stores.MemoryStore({ ttl: Math.max(ticketTtl - expiryMargin, 1) })
+    : null;
+
+  function _pgtIou(req) {
+    const session = req.session || {};
+    return session.casPgtIou || (session.authUser && session.authUser.pgtIou);
+  }
+
+  function _requestTicket(pgtIou, pgtId, targetService) {
+    const casService = {
+      ssoBaseURL: ssoBaseURL,
+      transport: options.transport,
+      endpoints: options.endpoints,
+      events: options.events,
+      logger: options.logger
+    };
+    return getProxyTicket(casService, pgtId, targetService).catch(err => {
+      // CAS answers INVALID_TICKET when the PGT itself has expired
+      if (err.code === "INVALID_TICKET") {
+        return pgtStore.delete(pgtIou).then(() => {
+          throw new CasPgtExpiredError(err.message, {
+            code: err.code,
+            service: targetService,
+            response: err.response
+          });
+        });
+      }
+      throw err;
+    });
+  }
+
+  function _getProxyTicket(req, targetService) {
+    const pgtIou = _pgtIou(req);
+    if (!pgtIou) {
+      return Promise.reject(
+        new CasPgtExpiredError("No proxy granting ticket in session")
+      );
+    }
+
+    return pgtStore.get(pgtIou).then(pgtId => {
+      if (!pgtId) {
+        throw new CasPgtExpiredError("Proxy granting ticket has expired");
+      }
+
+      if (!ticketCache) {
+        return _requestTicket(pgtIou, pgtId, targetService);
+      }
+
+      const cacheKey = pgtId + "\n" + targetService;
+      return ticketCache.get(cacheKey).then(cachedTicket => {
+        if (cachedTicket) {
+          return cachedTicket;
+        }
+
+        return _requestTicket(pgtIou, pgtId, targetService).then(ticket =>
+          ticketCache.set(cacheKey, ticket).then(() => ticket)
+        );
+      });
+    });
+  }
+
+  return function proxyTicketMiddleware(req, res, next) {
+    req.getProxyTicket = targetService => _getProxyTicket(req, targetService);
+    next();
+  };
+}
+
+module.exports = proxyTicketHelper;
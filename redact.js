@@ -0,0 +1,124 @@
+"use strict";
+
+/**
+ * Masking of CAS tickets and session secrets before they reach a logger, an
+ * error message or an audit event.
+ *
+ *   redactTicket(ticket)  ST-1234-abcdef... -> ST-1234-ab****
+ *   redactString(text)    every ticket in a text, e.g. a raw CAS response
+ *   redactValue(value)    objects, arrays and errors, tickets anywhere and
+ *                         the values of secret keys (see secretKeys)
+ */
+
+const TICKET = /^((?:PGTIOU|PGT|ST|PT|TGT)-(?:\d+-)?)(.*)$/;
+// Not followed by the mask, so that redacting twice changes nothing
+const TICKETS_IN_TEXT = /\b(?:PGTIOU|PGT|ST|PT|TGT)-[A-Za-z0-9._~:-]+(?![*A-Za-z0-9._~:-])/g;
+
+// Keys whose values are secrets whatever they look like, e.g. the pgtIou in
+// the session or the session cookie
+const secretKeys = /ticket|pgtiou|pgtid|^pgt$|token|secret|passw|cookie|authorization|^sid$|sessionid/i;
+
+const MASK = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+/**
+ * Keep the ticket type and the first characters, enough to correlate log
+ * lines.
+ */
+function redactTicket(ticket) {
+  if (typeof ticket !== "string" || !ticket) {
+    return ticket;
+  }
+
+  const match = TICKET.exec(ticket);
+  if (!match) {
+    return ticket.slice(0, 2) + "****";
+  }
+  return match[1] + match[2].slice(0, 2) + "****";
+}
+
+function redactString(text) {
+  if (typeof text !== "string") {
+    return text;
+  }
+  return text.replace(TICKETS_IN_TEXT, redactTicket);
+}
+
+function _redactSecret(value) {
+  if (value === undefined || value === null || value === "") {
+    return value;
+  }
+  if (typeof value === "string" && TICKET.test(value)) {
+    return redactTicket(value);
+  }
+  return MASK;
+}
+
+function _redactError(err, seen, depth) {
+  const copy = Object.create(Object.getPrototypeOf(err));
+  Object.getOwnPropertyNames(err).forEach(key => {
+    const value = secretKeys.test(key)
+      ? _redactSecret(err[key])
+      : _redact(err[key], seen, depth + 1);
+    Object.defineProperty(copy, key, {
+      value: value,
+      enumerable: Object.prototype.propertyIsEnumerable.call(err, key),
+      writable: true,
+      configurable: true
+    });
+  });
+  return copy;
+}
+
+function _redact(value, seen, depth) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (
+    value instanceof Date ||
+    value instanceof RegExp ||
+    Buffer.isBuffer(value)
+  ) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  if (depth > MAX_DEPTH) {
+    return "[Object]";
+  }
+
+  seen.add(value);
+  let copy;
+  if (value instanceof Error) {
+    copy = _redactError(value, seen, depth);
+  } else if (Array.isArray(value)) {
+    copy = value.map(item => _redact(item, seen, depth + 1));
+  } else {
+    copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = secretKeys.test(key)
+        ? _redactSecret(value[key])
+        : _redact(value[key], seen, depth + 1);
+    });
+  }
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * A redacted copy of a value, the value itself is not changed.
+ */
+function redactValue(value) {
+  return _redact(value, new Set(), 0);
+}
+
+module.exports = {
+  secretKeys: secretKeys,
+  redactTicket: redactTicket,
+  redactString: redactString,
+  redactValue: redactValue
+};
@@ -1,23 +1,41 @@
 "use strict";
 
 const passport = require("passport");
-const log = require("kth-node-log");
-const pathToRegex = require("path-to-regexp");
-
-function _protectUrlFromInjection(inStr, proxyPrefixPath) {
-  // Need to do a regex match to handle path style proxyPrefixPath
-  // Adding '/:end*' to handle child routes in app
-  // Also need to split the url to remove GET-params and hash etc
-  // TODO: Should we use 'url'-package instead? Need to check that
-  // it doesn't contain different host, protocol or port if we do
-  const testRegex = pathToRegex(proxyPrefixPath + "/:end*");
-  if (inStr === "/") {
-    return inStr;
-  }
-  if (typeof inStr === "string" && testRegex.test(inStr.split("?")[0].split("#")[0])) {
-    return inStr;
+const querystring = require("querystring");
+const url = require("url");
+const casResponseParser = require("./cas-response-parser");
+const ticketSessionIndex = require("./ticket-session-index");
+const stores = require("./stores");
+const endpoints = require("./endpoints");
+const safeRedirect = require("./safe-redirect");
+const authorization = require("./authorization");
+const isAnonymous = require("./anonymous").isAnonymous;
+const gatewayState = require("./gateway-state");
+const audit = require("./audit");
+const logger = require("./logger");
+
+/**
+ * Read the logoutRequest parameter from a Single Logout POST. Uses the parsed body when
+ * a body parser is installed, otherwise reads the urlencoded body from the request.
+ */
+function _readLogoutRequest(req) {
+  if (req.body && typeof req.body === "object") {
+    return Promise.resolve(req.body.logoutRequest);
   }
-  throw Error("Possible JavaScript-injection vuln during redirect <" + inStr + ">");
+
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 1e5) {
+        reject(new Error("Single Logout request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(querystring.parse(body).logoutRequest));
+    req.on("error", reject);
+  });
 }
 
 module.exports = function (options) {
@@ -30,8 +48,37 @@ module.exports = function (options) {
   const proxyPrefixPath = options.proxyPrefixPath;
   if (!proxyPrefixPath || typeof proxyPrefixPath !== "string") throw Error("Missing options.proxyPrefixPath when setting up route handlers");
 
-  const server = options.server;
-  const cookieTimeout = options.cookieTimeout || 0;
+  // Return URLs (nextUrl) must be paths owned by the application unless another policy is given
+  const redirectPolicy = options.redirectPolicy || safeRedirect.createRedirectPolicy({ pathPrefix: proxyPrefixPath });
+
+  // Response for logged in users without access, (req, res, next)
+  const forbiddenHandler = options.forbiddenHandler || authorization.sendForbidden;
+
+  const pgtStore = options.pgtStore || stores.defaultPgtStore;
+  // Seconds an anonymous gateway decision is reused before asking the CAS server again
+  const anonymousTtl = options.anonymousTtl || options.cookieTimeout || 60;
+  const sessionIndex = options.ticketSessionIndex || ticketSessionIndex.defaultIndex;
+  // Audit events, the same emitter as given to the strategies
+  const events = options.events || audit.defaultEvents;
+  // Everything logged is redacted, see logger.js
+  const log = logger.createLogger(options.logger);
+  // Optional jwtTokens, the tokens of the session are revoked on logout
+  const tokens = options.tokens;
+
+  // Session keys removed on logout, unless the whole session is regenerated
+  const logoutSessionKeys = options.logoutSessionKeys || ["ldapDisplayName", "ldapUserName", "ldapEmail"];
+  const regenerateSessionOnLogout = options.regenerateSessionOnLogout === true;
+
+  // Central logout, i.e. also ending the SSO session at the CAS server
+  const logoutFromCas = options.logoutFromCas === true;
+  const logoutReturnUrl = options.logoutReturnUrl || proxyPrefixPath;
+  let casLogoutUrl;
+  if (logoutFromCas) {
+    if (!options.ssoBaseURL || typeof options.ssoBaseURL !== "string") throw Error("Missing options.ssoBaseURL when setting up logoutFromCas");
+    if (!options.serverBaseURL || typeof options.serverBaseURL !== "string")
+      throw Error("Missing options.serverBaseURL when setting up logoutFromCas");
+    casLogoutUrl = endpoints.resolveEndpoints(options.ssoBaseURL, options.endpoints).logout;
+  }
 
   /**
    * GET request to the login path E.g /login
@@ -71,6 +118,18 @@ module.exports = function (options) {
             // return redirectAuthenticatedUser(user, res, req, info.pgtIou)
             res.locals.userId = user;
             res.locals.pgtIou = info.pgtIou;
+            res.locals.pgtId = info.pgtId;
+            res.locals.attributes = info.attributes;
+            if (info.pgtIou) {
+              // Used by proxyTicketHelper to find the PGT of the user
+              req.session.casPgtIou = info.pgtIou;
+            }
+            // Only the strategy knows the login was renewed, the query can be set by anyone
+            if (info && info.renew === true) {
+              req.session.casFreshLoginAt = Date.now();
+            } else {
+              delete req.session.casFreshLoginAt;
+            }
             return next();
           } catch (err) {
             log.debug("Could not redirect the authenticated user based on the user group membership");
@@ -93,12 +152,22 @@ module.exports = function (options) {
           return next(err);
         }
 
+        if (!user) {
+          // The ticket was rejected by the CAS server, info is a CasValidationError
+          if (info instanceof Error) {
+            return next(info);
+          }
+          // Otherwise verify rejected the user, who must not pass as logged in
+          log.info("CasGateway: User rejected by verify");
+          return forbiddenHandler(req, res, next);
+        }
+
         req.logIn(user, function (err) {
           if (err) {
             return next(err);
           }
 
-          if (user === "anonymous-user") {
+          if (isAnonymous(user)) {
             if (req.query.nextUrl == null) {
               if (!proxyPrefixPath) {
                 log.info("CasGateway: No target for redirect given");
@@ -106,11 +175,7 @@ module.exports = function (options) {
               }
             }
             try {
-              let nextUrl = req.query.nextUrl || proxyPrefixPath;
-              if (nextUrl.indexOf("?") === 0) {
-                nextUrl = proxyPrefixPath + nextUrl;
-              }
-              return res.redirect(_protectUrlFromInjection(nextUrl, proxyPrefixPath));
+              return res.redirect(redirectPolicy.nextUrl(req.query.nextUrl, proxyPrefixPath));
             } catch (e) {
               log.warn(e);
               return res.status(400).send("400 Bad Request");
@@ -120,7 +185,8 @@ module.exports = function (options) {
           try {
             // return redirectAuthenticatedUser(user, res, req, info && info.pgtIou)
             res.locals.userId = user;
-            res.locals.pgtIou = info.pgtIou;
+            res.locals.pgtIou = info && info.pgtIou;
+            res.locals.attributes = info && info.attributes;
             return next();
           } catch (err) {
             next(err);
@@ -131,30 +197,152 @@ module.exports = function (options) {
   }
 
   /**
-   * Logout from application.
+   * Clear the local session, either by regenerating it or by removing the configured keys.
    */
-  function logoutHandler(req, res) {
-    req.logout();
+  function _clearSession(req, callback) {
+    if (regenerateSessionOnLogout) {
+      return req.session.regenerate(callback);
+    }
 
     try {
-      delete req.session.ldapDisplayName;
-      delete req.session.ldapUserName;
-      delete req.session.ldapEmail;
-      log.info("Log out, destroying session on logout");
+      delete req.session.casFreshLoginAt;
+      logoutSessionKeys.forEach((key) => delete req.session[key]);
     } catch (error) {
-      log.debug({ err: error });
-      log.info("Error destroying session on logout");
+      return callback(error);
     }
+    return callback();
+  }
 
-    res.redirect("/");
+  /**
+   * Logout from application, and optionally from the CAS server as well.
+   */
+  function logoutHandler(req, res, next) {
+    audit.emitEvent(events, "logout", { user: req.user, fromCas: logoutFromCas }, log);
+
+    // The tokens are revoked before the session, which knows them, is cleared
+    _revokeTokens(req, res)
+      .then(() => {
+        req.logout();
+
+        _clearSession(req, (error) => {
+          if (error) {
+            log.debug({ err: error });
+            log.info("Error destroying session on logout");
+          } else {
+            log.info("Log out, destroying session on logout");
+          }
+
+          if (!logoutFromCas) {
+            return res.redirect("/");
+          }
+
+          try {
+            const returnUrl = redirectPolicy.nextUrl(req.query.nextUrl, logoutReturnUrl);
+            const service = url.resolve(options.serverBaseURL, returnUrl);
+            return res.redirect(endpoints.withQuery(casLogoutUrl, { service: service }));
+          } catch (e) {
+            log.warn(e);
+            return res.status(400).send("400 Bad Request");
+          }
+        });
+      })
+      .catch(next);
+  }
+
+  /**
+   * Revoke the tokens issued in the session of the request. Fails open, a failure (e.g. a full
+   * revocation store) is logged but does not stop the logout, the tokens then stay valid until they expire.
+   */
+  function _revokeTokens(req, res) {
+    if (!tokens) {
+      return Promise.resolve();
+    }
+    return tokens
+      .revoke(req, res)
+      .catch((err) => log.error({ err: err }, "Could not revoke tokens on logout, they stay valid until they expire"));
+  }
+
+  /**
+   * Revoke the tokens issued in a stored session, before Single Logout destroys it.
+   */
+  function _revokeStoredTokens(sessionStore, sessionId) {
+    if (!tokens) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => sessionStore.get(sessionId, (err, session) => (err ? reject(err) : resolve(session))))
+      .then((session) => tokens.revokeSession(session))
+      .catch((err) => log.warn({ err: err }, "Single Logout: could not revoke tokens"));
+  }
+
+  /**
+   * POST from the CAS server when the user logs out centrally (Single Logout).
+   * Destroys the session that the service ticket in SessionIndex was validated into.
+   */
+  function singleLogoutHandler(req, res) {
+    log.debug("CAS Single Logout request");
+    const started = Date.now();
+    _readLogoutRequest(req)
+      .then((logoutRequest) => {
+        if (!logoutRequest) {
+          log.info("Single Logout: missing logoutRequest parameter");
+          return res.status(400).send("400 Bad Request");
+        }
+
+        const ticket = casResponseParser.parseLogoutRequest(logoutRequest).sessionIndex;
+        return sessionIndex.get(ticket).then((sessionId) => {
+          if (!sessionId) {
+            log.info("Single Logout: no session found for ticket");
+            audit.emitEvent(events, "slo.received", { ticket: ticket, sessionFound: false, latency: audit.since(started) }, log);
+            return res.end("OK");
+          }
+
+          if (!req.sessionStore) {
+            throw new Error("Single Logout requires express-session (req.sessionStore is missing)");
+          }
+
+          return _revokeStoredTokens(req.sessionStore, sessionId)
+            .then(
+              () =>
+                new Promise((resolve, reject) => {
+                  req.sessionStore.destroy(sessionId, (err) => (err ? reject(err) : resolve()));
+                })
+            )
+            .then(() => sessionIndex.delete(ticket))
+            .then(() => {
+              log.info("Single Logout: destroyed session for ticket");
+              audit.emitEvent(events, "slo.received", { ticket: ticket, sessionFound: true, latency: audit.since(started) }, log);
+              res.end("OK");
+            });
+        });
+      })
+      .catch((err) => {
+        log.warn({ err: err }, "Single Logout request failed");
+        if (!res.headersSent) {
+          res.status(400).send("400 Bad Request");
+        }
+      });
   }
 
+  /**
+   * Called by the CAS server with the proxy granting ticket (pgtId) before it answers the ticket
+   * validation, which only contains the pgtIou. Stored so the strategy can resolve pgtIou -> pgtId.
+   */
   function pgtCallbackHandler(req, res) {
     log.debug("CAS pgtCallback");
-    if (req.query.pgtIou !== undefined) {
-      server.locals.secret[req.query.pgtIou] = req.query.pgtId;
+    if (req.query.pgtIou === undefined || req.query.pgtId === undefined) {
+      return res.end("OK");
     }
-    res.end("OK");
+
+    pgtStore
+      .set(req.query.pgtIou, req.query.pgtId)
+      .then(() => {
+        audit.emitEvent(events, "pgt.received", { ticket: req.query.pgtIou }, log);
+        res.end("OK");
+      })
+      .catch((err) => {
+        log.error({ err: err }, "Could not store proxy granting ticket");
+        res.status(500).end();
+      });
   }
 
   /**
@@ -172,9 +360,9 @@ module.exports = function (options) {
   }
 
   function serverLogin(req, res, next) {
-    log.debug({ session: req.session }, "Login function called. User: " + req.user);
+    log.debug("Login function called. User: " + req.user);
 
-    if (req.user && req.user === "anonymous-user") {
+    if (isAnonymous(req.user)) {
       _clearUser(req);
     }
 
@@ -184,17 +372,64 @@ module.exports = function (options) {
         log.info("User logged in, found ldap user: " + req.session.authUser.username);
         next();
       } else {
-        log.info("unable to find ldap user: " + req.user);
-        res.statusCode = 403;
-        res.send("403 Not authorized for this resource");
+        log.info("unable to find authorized user: " + req.user);
+        return forbiddenHandler(req, res, next);
       }
     } else {
       req.nextUrl = req.originalUrl;
       log.debug("Next url: " + req.nextUrl);
-      return res.redirect(casLoginUri + "?nextUrl=" + encodeURIComponent(req.nextUrl));
+      return res.redirect(safeRedirect.loginRedirectUrl(casLoginUri, req.nextUrl));
     }
   }
 
+  /**
+   * Require that the user logged in with credentials within the last maxAgeSeconds (default 300),
+   * e.g. before admin actions. Otherwise redirect to the login server with renew, so that single
+   * sign-on is not enough. Meant for GET routes, since the redirect drops any request body.
+   */
+  function requireFreshLogin(maxAgeSeconds) {
+    const maxAge = (maxAgeSeconds || 300) * 1000;
+
+    return (req, res, next) => {
+      if (req.session === undefined) {
+        log.error("requireFreshLogin: sessions unavailable");
+        return next(new Error("sessions unavailable"));
+      }
+
+      const freshLoginAt = req.session.casFreshLoginAt;
+      if (req.user && !isAnonymous(req.user) && freshLoginAt && Date.now() - freshLoginAt <= maxAge) {
+        return next();
+      }
+
+      log.debug("requireFreshLogin: no recent login with credentials, renewing login");
+      return res.redirect(safeRedirect.loginRedirectUrl(casLoginUri, req.originalUrl, { renew: "true" }));
+    };
+  }
+
+  /**
+   * Only let logged in users with any of the values in req.session.authUser[key] through,
+   * set by the authorization provider. Use after serverLogin.
+   */
+  function _requireAny(key, values) {
+    return (req, res, next) => {
+      const authUser = req.session && req.session.authUser;
+      if (req.user && authorization.hasAny(authUser, key, values)) {
+        return next();
+      }
+
+      log.info(`User ${req.user} lacks any of the ${key} ${values.join(", ")}`);
+      return forbiddenHandler(req, res, next);
+    };
+  }
+
+  function requireRole(...roles) {
+    return _requireAny("roles", [].concat(...roles));
+  }
+
+  function requireGroup(...groups) {
+    return _requireAny("groups", [].concat(...groups));
+  }
+
   function serverGatewayLogin(fallback) {
     return (req, res, next) => {
       if (req.session === undefined) {
@@ -203,22 +438,18 @@ module.exports = function (options) {
       }
 
       /**
-        This hack solves the conflicting demands of directory and profiles
-        if a user isn't logged in when viewing a directory page, we don't want to do
-        a round trip to the CAS for every request. On the other hand if the user is not
-        logged in when viewing a profile page, and then logs in, we do want to send the user
-        back to the CAS.
+        If a user isn't logged in when viewing a directory page, we don't want to do a round
+        trip to the CAS for every request. On the other hand if the user is not logged in when
+        viewing a profile page, and then logs in elsewhere, we do want to send the user back to
+        the CAS. So the anonymous decision of GatewayStrategy is reused for anonymousTtl seconds.
        */
-      const time = new Date().getTime() / 1000;
-      if (req.user && req.user === "anonymous-user" && time - req.session.time > cookieTimeout) {
+      const anonymousFresh = gatewayState.isAnonymousFresh(req.session, anonymousTtl);
+      if (isAnonymous(req.user) && !anonymousFresh) {
         _clearUser(req);
       }
-      req.session.time = time;
 
-      if (req.session.gatewayAttempts >= 2) {
-        log.debug("gatewayLogin: exhausted gateway attempts, allow access as anonymous user");
-        log.debug({ session: req.session }, "gatewayLogin: session");
-        req.session.gatewayAttempts = 0; // reset gateway attempts to fix authentication for users not logged in the first time a cookie is set
+      if (!req.user && anonymousFresh) {
+        log.debug("gatewayLogin: recently found to be anonymous, allow access without user");
         next();
         return;
       }
@@ -230,7 +461,7 @@ module.exports = function (options) {
         log.debug("gatewayLogin: no user, attempt gateway login");
         req.session.redirectTo = req.originalUrl;
         req.session.fallbackTo = fallback;
-        res.redirect(casGatewayUri + "?nextUrl=" + encodeURIComponent(req.originalUrl));
+        res.redirect(safeRedirect.loginRedirectUrl(casGatewayUri, req.originalUrl));
       }
     };
   }
@@ -239,13 +470,23 @@ module.exports = function (options) {
     authLoginHandler: loginHandler,
     authCheckHandler: gatewayHandler,
     logoutHandler: logoutHandler,
+    singleLogoutHandler: singleLogoutHandler,
     pgtCallbackHandler: pgtCallbackHandler,
     serverLogin: serverLogin,
     getServerGatewayLogin: serverGatewayLogin,
+    requireFreshLogin: requireFreshLogin,
+    requireRole: requireRole,
+    requireGroup: requireGroup,
   };
 };
 
 /**
+ * Authorize the user validated by authLoginHandler and redirect to nextUrl. Unauthorized users
+ * are redirected to /. With options.tokens (see jwt-tokens.js) a token is issued to authorized users.
+ *
+ * The user is authorized by options.authorizationProvider, see authorization.js. Without one the
+ * user is looked up in LDAP with options.ldapClient, options.ldapConfig and options.unpackLdapUser:
+ *
  * Search user using LDAPJS.
  * scope  One of base, one, or sub. Defaults to base.
  * filter  A string version of an LDAP filter (see below), or a programatically constructed Filter object. Defaults to (objectclass=*).
@@ -255,58 +496,65 @@ module.exports = function (options) {
  * timeLimit  the maximum amount of time the server should take in responding, in seconds. Defaults to 10. Lots of servers will ignore this.
  */
 module.exports.getRedirectAuthenticatedUser = function (options) {
-  const unpackLdapUser = options.unpackLdapUser;
-  const ldapConfig = options.ldapConfig;
-  const ldapClient = options.ldapClient;
+  const log = logger.createLogger(options.logger);
+  const authorizationProvider =
+    options.authorizationProvider ||
+    authorization.ldapProvider({
+      ldapClient: options.ldapClient,
+      ldapConfig: options.ldapConfig,
+      unpackLdapUser: options.unpackLdapUser,
+      logger: log,
+    });
 
   const proxyPrefixPath = options.proxyPrefixPath;
   if (!proxyPrefixPath || typeof proxyPrefixPath !== "string") throw Error("Missing options.proxyPrefixPath when setting up route handlers");
 
+  const redirectPolicy = options.redirectPolicy || safeRedirect.createRedirectPolicy({ pathPrefix: proxyPrefixPath });
+
+  // Optional jwtTokens, a token is issued to authorized users before the redirect
+  const tokens = options.tokens;
+
   return function redirectAuthenticatedUser(req, res) {
     const kthid = res.locals.userId;
-    const pgtIou = res.locals.pgtIou;
+    const principal = {
+      user: kthid,
+      attributes: res.locals.attributes || {},
+      pgtIou: res.locals.pgtIou,
+    };
 
-    var searchFilter = ldapConfig.filter.replace(ldapConfig.filterReplaceHolder, kthid);
     log.debug("Redirecting user with id", { kthId: kthid });
-    var searchOptions = {
-      scope: ldapConfig.scope,
-      filter: searchFilter,
-      attributes: ldapConfig.userattrs,
-      sizeLimits: ldapConfig.searchlimit,
-      timeLimit: ldapConfig.searchtimeout,
-    };
-    ldapClient
-      .searchOne(ldapConfig.base, searchOptions)
-      .then((user) => {
-        log.debug({ searchEntry: user }, "LDAP search result");
-
-        if (user) {
-          Promise.resolve(unpackLdapUser(user, pgtIou)).then((result) => {
-            req.session.authUser = result;
-            if (req.query.nextUrl) {
-              log.info(`Logged in user (${kthid}) exist in LDAP group, redirecting to ${req.query.nextUrl}`);
-            } else {
-              log.info(`Logged in user (${kthid}) exist in LDAP group, but is missing nextUrl. Redirecting to /`);
-            }
+    Promise.resolve()
+      .then(() => authorizationProvider.authorize(principal))
+      .then((result) => {
+        if (!result) {
+          log.info(`Logged in user (${kthid}), is not authorized, redirecting to /`);
+          res.redirect("/");
+          return false;
+        }
 
-            try {
-              let nextUrl = req.query.nextUrl || proxyPrefixPath;
-              if (nextUrl.indexOf("?") === 0) {
-                nextUrl = proxyPrefixPath + nextUrl;
-              }
-              return res.redirect(_protectUrlFromInjection(nextUrl, proxyPrefixPath));
-            } catch (e) {
-              log.warn(e);
-              return res.status(400).send("400 Bad Request");
-            }
-          });
+        req.session.authUser = result;
+        return tokens ? tokens.issue(req, res, principal, result).then(() => true) : true;
+      })
+      .then((authorized) => {
+        if (!authorized) {
+          return;
+        }
+
+        if (req.query.nextUrl) {
+          log.info(`Logged in user (${kthid}) is authorized, redirecting to ${req.query.nextUrl}`);
         } else {
-          log.info(`Logged in user (${kthid}), does not exist in required group to /`);
-          return res.redirect("/");
+          log.info(`Logged in user (${kthid}) is authorized, but is missing nextUrl. Redirecting to /`);
+        }
+
+        try {
+          return res.redirect(redirectPolicy.nextUrl(req.query.nextUrl, proxyPrefixPath));
+        } catch (e) {
+          log.warn(e);
+          return res.status(400).send("400 Bad Request");
         }
       })
       .catch((err) => {
-        log.error({ err: err }, "LDAP search error");
+        log.error({ err: err }, "Authorization error");
         // Is this really desired behaviour? Would make more sense if we got an error message
         return res.redirect("/");
       });
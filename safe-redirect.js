@@ -0,0 +1,206 @@
+"use strict";
+
+/**
+ * Checks return URLs (nextUrl, logout return URLs) before redirecting to
+ * them, so that the login flow can not be used as an open redirect.
+ *
+ * A return URL is parsed and normalised (dot segments resolved, encoding
+ * made canonical) and then allowed when any of these match:
+ *   pathPrefix      a path on our own origin under the prefix, e.g. /app.
+ *                   May be a path-to-regexp pattern. "/" is always allowed.
+ *   allowedOrigins  absolute http(s) URLs on one of these origins
+ *   allow           predicate function(parsedUrl), parsedUrl is a WHATWG URL
+ *
+ * Without any of them every path on our own origin is allowed.
+ *
+ * Always rejected: protocol-relative URLs, backslashes, control characters
+ * (also percent-encoded), malformed or double-encoded escapes and other
+ * schemes than http and https.
+ */
+const pathToRegex = require("path-to-regexp");
+const CasRedirectError = require("./errors").CasRedirectError;
+const endpoints = require("./endpoints");
+
+// Placeholder origin for resolving paths, never part of a returned URL
+const LOCAL_ORIGIN = "http://local.invalid";
+const MAX_LENGTH = 2048;
+
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+const ESCAPE = /%[0-9a-f]{2}/i;
+
+function _reject(value, reason) {
+  throw new CasRedirectError("Unsafe redirect <" + value + ">: " + reason, {
+    code: "UNSAFE_REDIRECT"
+  });
+}
+
+function _decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reject return URLs that could be read differently by us and the browser.
+ * The value is expected to be decoded once already, as query parameters are.
+ */
+function _checkCharacters(value) {
+  if (typeof value !== "string" || !value) {
+    _reject(value, "not a URL");
+  }
+  if (value.length > MAX_LENGTH) {
+    _reject(value.slice(0, 64) + "...", "too long");
+  }
+  if (CONTROL_CHARACTERS.test(value) || value.indexOf("\\") >= 0) {
+    _reject(value, "control character or backslash");
+  }
+
+  const decoded = _decode(value);
+  if (decoded === null) {
+    _reject(value, "malformed escape");
+  }
+  if (CONTROL_CHARACTERS.test(decoded) || decoded.indexOf("\\") >= 0) {
+    _reject(value, "encoded control character or backslash");
+  }
+  if (ESCAPE.test(decoded)) {
+    _reject(value, "double encoded");
+  }
+  if (/^\s*\/\//.test(decoded)) {
+    _reject(value, "protocol-relative");
+  }
+}
+
+/**
+ * Create a policy for return URLs.
+ *
+ * @param options - { pathPrefix, allowedOrigins, allow }
+ */
+function createRedirectPolicy(options) {
+  options = options || {};
+
+  const pathPrefix = options.pathPrefix;
+  const prefixRegex = pathPrefix
+    ? pathToRegex(pathPrefix.replace(/\/+$/, "") + "/:end*")
+    : null;
+  const allowedOrigins = (options.allowedOrigins || []).map(
+    origin => new URL(origin).origin
+  );
+  const allow = options.allow;
+  const anyLocalPath = !pathPrefix && !allowedOrigins.length && !allow;
+
+  function _isAllowed(parsed) {
+    if (parsed.origin === LOCAL_ORIGIN) {
+      if (anyLocalPath || parsed.pathname === "/") {
+        return true;
+      }
+      if (prefixRegex && prefixRegex.test(parsed.pathname)) {
+        return true;
+      }
+    } else if (allowedOrigins.indexOf(parsed.origin) >= 0) {
+      return true;
+    }
+
+    return typeof allow === "function" && allow(parsed) === true;
+  }
+
+  /**
+   * Check a return URL, returns it normalised or throws a CasRedirectError.
+   * Paths on our own origin are returned as paths, other URLs as absolute
+   * URLs.
+   */
+  function check(value) {
+    _checkCharacters(value);
+
+    let parsed;
+    try {
+      parsed = new URL(value, LOCAL_ORIGIN + "/");
+    } catch (err) {
+      _reject(value, "not a URL");
+    }
+
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      _reject(value, "scheme not allowed");
+    }
+    if (parsed.username || parsed.password) {
+      _reject(value, "credentials in URL");
+    }
+    if (!_isAllowed(parsed)) {
+      _reject(value, "not allowed by redirect policy");
+    }
+
+    if (parsed.origin === LOCAL_ORIGIN) {
+      return parsed.pathname + parsed.search + parsed.hash;
+    }
+    return parsed.href;
+  }
+
+  /**
+   * Like check, but returns false instead of throwing.
+   */
+  function isAllowed(value) {
+    try {
+      check(value);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * The checked redirect target for a nextUrl parameter. Falls back to
+   * fallback when there is none, and appends a bare query string ("?a=b")
+   * to the fallback.
+   */
+  function nextUrl(value, fallback) {
+    if (value === undefined || value === null || value === "") {
+      return check(fallback);
+    }
+    if (typeof value === "string" && value.indexOf("?") === 0) {
+      return check(fallback + value);
+    }
+    return check(value);
+  }
+
+  return {
+    check: check,
+    isAllowed: isAllowed,
+    nextUrl: nextUrl
+  };
+}
+
+/**
+ * Remove the nextUrl parameter from a service URL when it is not allowed
+ * by the policy, so the CAS server never redirects back with it.
+ *
+ * @param serviceUrl - a url.parse(..., true) object, modified in place
+ */
+function sanitizeServiceUrl(serviceUrl, policy) {
+  const value = serviceUrl.query && serviceUrl.query.nextUrl;
+  if (value !== undefined && !policy.isAllowed(value)) {
+    delete serviceUrl.query.nextUrl;
+  }
+  delete serviceUrl.search;
+  return serviceUrl;
+}
+
+/**
+ * Build the URL to send a user to for login, with the page to return to
+ * as the encoded nextUrl parameter.
+ */
+function loginRedirectUrl(loginUri, nextUrl, query) {
+  return endpoints.withQuery(
+    loginUri,
+    Object.assign({ nextUrl: nextUrl }, query)
+  );
+}
+
+const defaultPolicy = createRedirectPolicy();
+
+module.exports = {
+  createRedirectPolicy: createRedirectPolicy,
+  sanitizeServiceUrl: sanitizeServiceUrl,
+  loginRedirectUrl: loginRedirectUrl,
+  defaultPolicy: defaultPolicy
+};
@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * SAML 1.1 ticket validation (/samlValidate), for CAS servers and services
+ * set up for the SAML 1.1 profile.
+ */
+const crypto = require("crypto");
+const casResponseParser = require("./cas-response-parser");
+const errors = require("./errors");
+
+// Allowed difference between our clock and the CAS server's, in milliseconds
+const CLOCK_SKEW = 60 * 1000;
+
+function _escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build the SOAP wrapped SAML request POSTed to /samlValidate?TARGET=<service>.
+ */
+function buildSamlRequest(ticket) {
+  return (
+    '<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://schemas.xmlsoap.org/soap/envelope/">' +
+    "<SOAP-ENV:Header/><SOAP-ENV:Body>" +
+    '<samlp:Request xmlns:samlp="urn:oasis:names:tc:SAML:1.0:protocol" MajorVersion="1" MinorVersion="1"' +
+    ' RequestID="_' +
+    crypto.randomBytes(16).toString("hex") +
+    '" IssueInstant="' +
+    new Date().toISOString() +
+    '">' +
+    "<samlp:AssertionArtifact>" +
+    _escapeXml(ticket) +
+    "</samlp:AssertionArtifact>" +
+    "</samlp:Request></SOAP-ENV:Body></SOAP-ENV:Envelope>"
+  );
+}
+
+/**
+ * Headers to send with the request from buildSamlRequest.
+ */
+const requestHeaders = {
+  "Content-Type": "text/xml; charset=utf-8",
+  SOAPAction: "http://www.oasis-open.org/committees/security"
+};
+
+/**
+ * Parse a /samlValidate response into the same result as parseCasResponse,
+ * with the validity window of the assertion added as validFrom/validUntil.
+ * Rejects with a CasValidationError when the validation failed or the
+ * assertion is outside its validity window.
+ */
+function parseSamlResult(samlResponse, ticket, parser, service) {
+  return new Promise(function(resolve, reject) {
+    const details = {
+      ticket: ticket,
+      service: service,
+      response: samlResponse
+    };
+
+    let parsed;
+    try {
+      parsed = (parser || casResponseParser).parseSamlResponse(samlResponse);
+    } catch (err) {
+      return reject(
+        new errors.CasResponseFormatError(
+          "Bad SAML response format. " + err.message,
+          details
+        )
+      );
+    }
+
+    if (parsed.failure) {
+      details.code = parsed.failure.code;
+      return reject(
+        new errors.CasValidationError(
+          "Validation failed [" +
+            parsed.failure.code +
+            "]: " +
+            (parsed.failure.message || ""),
+          details
+        )
+      );
+    }
+
+    const now = Date.now();
+    if (parsed.validFrom && parsed.validFrom.getTime() - CLOCK_SKEW > now) {
+      details.code = "ASSERTION_NOT_YET_VALID";
+      return reject(
+        new errors.CasValidationError("SAML assertion not yet valid", details)
+      );
+    }
+    if (parsed.validUntil && parsed.validUntil.getTime() + CLOCK_SKEW <= now) {
+      details.code = "ASSERTION_EXPIRED";
+      return reject(
+        new errors.CasValidationError("SAML assertion has expired", details)
+      );
+    }
+
+    return resolve({
+      status: true,
+      user: parsed.user,
+      attributes: parsed.attributes,
+      pgtIou: undefined,
+      ticket: ticket,
+      proxies: [],
+      validFrom: parsed.validFrom,
+      validUntil: parsed.validUntil
+    });
+  });
+}
+
+module.exports = {
+  buildSamlRequest: buildSamlRequest,
+  requestHeaders: requestHeaders,
+  parseSamlResult: parseSamlResult
+};
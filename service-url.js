@@ -0,0 +1,286 @@
+"use strict";
+
+/**
+ * Builds the CAS service URL of a request, shared by Strategy and
+ * GatewayStrategy so that both send the same service URL at login and at
+ * validation.
+ *
+ * Options:
+ *   serverBaseURL   fixed public base URL, e.g. https://www.kth.se. The
+ *                   service URL is then this origin + req.originalUrl and
+ *                   no request headers are used.
+ *   trustProxy      which reverse proxies to trust for the Forwarded,
+ *                   X-Forwarded-Proto, X-Forwarded-Host and
+ *                   X-Forwarded-Prefix headers when there is no
+ *                   serverBaseURL:
+ *                     false     none, the default
+ *                     true      all
+ *                     number    the nearest n proxies
+ *                     list      proxies with addresses in these CIDRs, e.g.
+ *                               ["10.0.0.0/8", "::1"]
+ *   allowedOrigins  public origins the service URL may have. Any other
+ *                   origin, e.g. from a spoofed Host header, is replaced by
+ *                   the first of them.
+ *   redirectPolicy  policy for the nextUrl parameter, see safe-redirect.js
+ *   logger          see logger.js
+ */
+const url = require("url");
+const net = require("net");
+const logger = require("./logger");
+const safeRedirect = require("./safe-redirect");
+
+const VALID_HOST = /^(\[[0-9a-f:.]+\]|[a-z0-9.-]+)(:[0-9]{1,5})?$/i;
+const VALID_PREFIX = /^(\/[a-z0-9._~%!$&'()*+,;=:@-]+)+\/?$/i;
+
+/**
+ * An IP address as a list of 16 bytes, IPv4 addresses mapped to IPv6.
+ */
+function _ipBytes(address) {
+  if (net.isIPv4(address)) {
+    return [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255].concat(
+      address.split(".").map(Number)
+    );
+  }
+
+  if (!net.isIPv6(address)) {
+    return null;
+  }
+
+  let ipv4Tail = [];
+  let ipv6 = address;
+  const lastColon = address.lastIndexOf(":");
+  if (address.indexOf(".", lastColon) > 0) {
+    ipv4Tail = address
+      .slice(lastColon + 1)
+      .split(".")
+      .map(Number);
+    ipv6 = address.slice(0, lastColon + 1) + "0:0";
+  }
+
+  const halves = ipv6.split("::");
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length > 1 && halves[1] ? halves[1].split(":") : [];
+  const groups = head
+    .concat(new Array(8 - head.length - tail.length).fill("0"))
+    .concat(tail);
+
+  const bytes = [];
+  groups.forEach(group => {
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 255);
+  });
+  if (ipv4Tail.length) {
+    bytes.splice(12, 4, ...ipv4Tail);
+  }
+  return bytes;
+}
+
+function _parseCidr(cidr) {
+  const parts = String(cidr).split("/");
+  const bytes = _ipBytes(parts[0]);
+  if (!bytes) {
+    throw new TypeError("Invalid trustProxy address " + cidr);
+  }
+
+  let bits = parts.length > 1 ? Number(parts[1]) : 128;
+  if (net.isIPv4(parts[0]) && parts.length > 1) {
+    bits += 96;
+  }
+  return { bytes: bytes, bits: bits };
+}
+
+function _inCidr(bytes, cidr) {
+  for (let i = 0; i < 16; i++) {
+    const bits = Math.min(Math.max(cidr.bits - i * 8, 0), 8);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    if ((bytes[i] & mask) !== (cidr.bytes[i] & mask)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Split a header that proxies append to into its values, one per hop.
+ */
+function _list(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(",")
+    .map(item => item.trim())
+    .filter(item => item);
+}
+
+/**
+ * Parse a Forwarded header (RFC 7239) into one object per hop.
+ */
+function _parseForwarded(value) {
+  return _list(value).map(element => {
+    const pairs = {};
+    element.split(";").forEach(pair => {
+      const index = pair.indexOf("=");
+      if (index > 0) {
+        pairs[
+          pair
+            .slice(0, index)
+            .trim()
+            .toLowerCase()
+        ] = pair
+          .slice(index + 1)
+          .trim()
+          .replace(/^"(.*)"$/, "$1");
+      }
+    });
+    return pairs;
+  });
+}
+
+function createServiceUrlBuilder(options) {
+  options = options || {};
+
+  const serverBaseURL = options.serverBaseURL;
+  const trustProxy = options.trustProxy || false;
+  const trustedCidrs =
+    typeof trustProxy === "string" || Array.isArray(trustProxy)
+      ? [].concat(trustProxy).map(_parseCidr)
+      : null;
+  const allowedOrigins = (options.allowedOrigins || []).map(
+    origin => new URL(origin).origin
+  );
+  const redirectPolicy = options.redirectPolicy || safeRedirect.defaultPolicy;
+  const log = logger.createLogger(options.logger);
+
+  function _isTrusted(address) {
+    const bytes = address && _ipBytes(address);
+    return !!bytes && trustedCidrs.some(cidr => _inCidr(bytes, cidr));
+  }
+
+  /**
+   * The number of proxies in front of us that are trusted.
+   */
+  function _trustedHops(req) {
+    if (trustProxy === true) {
+      return Infinity;
+    }
+    if (typeof trustProxy === "number") {
+      return trustProxy;
+    }
+    if (!trustedCidrs) {
+      return 0;
+    }
+
+    const peer = req.socket && req.socket.remoteAddress;
+    if (!_isTrusted(peer)) {
+      return 0;
+    }
+
+    // The peer is trusted, so are the proxies before it while trusted
+    const forwardedFor = req.headers.forwarded
+      ? _parseForwarded(req.headers.forwarded).map(hop =>
+          (hop.for || "").replace(/^\[|\]$/g, "")
+        )
+      : _list(req.headers["x-forwarded-for"]);
+    let hops = 1;
+    for (let i = forwardedFor.length - 1; i >= 0; i--) {
+      if (!_isTrusted(forwardedFor[i])) {
+        break;
+      }
+      hops += 1;
+    }
+    return hops;
+  }
+
+  /**
+   * The value set by the outermost trusted proxy.
+   */
+  function _pick(values, hops) {
+    if (!hops || !values.length) {
+      return undefined;
+    }
+    return values[Math.max(values.length - hops, 0)];
+  }
+
+  function _forwarded(req) {
+    const hops = _trustedHops(req);
+    if (!hops) {
+      return {};
+    }
+
+    const prefix = _pick(_list(req.headers["x-forwarded-prefix"]), hops);
+    if (req.headers.forwarded) {
+      const hop = _pick(_parseForwarded(req.headers.forwarded), hops) || {};
+      return { proto: hop.proto, host: hop.host, prefix: prefix };
+    }
+
+    return {
+      proto: _pick(_list(req.headers["x-forwarded-proto"]), hops),
+      host: _pick(_list(req.headers["x-forwarded-host"]), hops),
+      prefix: prefix
+    };
+  }
+
+  /**
+   * The public origin and path prefix of the application for a request.
+   */
+  function baseUrl(req) {
+    if (serverBaseURL) {
+      return new URL(serverBaseURL).origin;
+    }
+
+    const forwarded = _forwarded(req);
+    let proto = (forwarded.proto || "").toLowerCase();
+    if (proto !== "http" && proto !== "https") {
+      proto = req.socket && req.socket.encrypted ? "https" : "http";
+    }
+    const host = forwarded.host || req.headers.host;
+    const prefix =
+      forwarded.prefix &&
+      VALID_PREFIX.test(forwarded.prefix) &&
+      forwarded.prefix.indexOf("..") < 0
+        ? forwarded.prefix.replace(/\/$/, "")
+        : "";
+
+    let origin = host && VALID_HOST.test(host) ? proto + "://" + host : null;
+    if (origin) {
+      origin = new URL(origin).origin;
+    }
+
+    if (allowedOrigins.length && allowedOrigins.indexOf(origin) < 0) {
+      log.warn(
+        { origin: origin },
+        "Service URL origin not allowed, using " + allowedOrigins[0]
+      );
+      origin = allowedOrigins[0];
+    }
+    if (!origin) {
+      throw new Error("Can not build the service URL, invalid Host header");
+    }
+
+    return origin + prefix;
+  }
+
+  /**
+   * The service URL for a request: the public URL of the request without
+   * the ticket and useGateway parameters, and without a nextUrl parameter
+   * that the redirect policy refuses.
+   */
+  function serviceUrl(req) {
+    const parsed = url.parse(baseUrl(req) + (req.originalUrl || req.url), true);
+    delete parsed.search;
+    delete parsed.query.ticket;
+    delete parsed.query.useGateway;
+    safeRedirect.sanitizeServiceUrl(parsed, redirectPolicy);
+    return url.format(parsed);
+  }
+
+  return {
+    baseUrl: baseUrl,
+    serviceUrl: serviceUrl
+  };
+}
+
+module.exports = {
+  createServiceUrlBuilder: createServiceUrlBuilder
+};
@@ -0,0 +1,147 @@
+"use strict";
+
+/**
+ * Key/value stores used for proxy granting tickets (pgtIou -> pgtId).
+ *
+ * A store is any object with the following promise returning methods:
+ *
+ *   get(key)              resolves to the value, or undefined if missing/expired
+ *   set(key, value, ttl)  ttl in seconds, falls back to the store default
+ *   delete(key)
+ *
+ * MemoryStore is enough for a single instance. Use RedisStore, or your own
+ * implementation, to share tickets between several instances.
+ */
+
+const DEFAULT_TTL = 7200; // seconds, the default PGT lifetime in CAS
+const DEFAULT_MAX = 10000;
+
+/**
+ * In-memory store with a max number of entries (least recently used entries
+ * are evicted first) and expiry.
+ *
+ * With evict: false no entry is dropped before it expires, set rejects when
+ * the store is full of unexpired entries instead, e.g. for a denylist.
+ */
+function MemoryStore(options) {
+  options = options || {};
+  this.ttl = options.ttl || DEFAULT_TTL;
+  this.max = options.max || DEFAULT_MAX;
+  this.evict = options.evict !== false;
+  this.entries = new Map();
+}
+
+MemoryStore.prototype.get = function(key) {
+  const entry = this.entries.get(key);
+  if (!entry) {
+    return Promise.resolve(undefined);
+  }
+
+  this.entries.delete(key);
+  if (entry.expires <= Date.now()) {
+    return Promise.resolve(undefined);
+  }
+
+  // Re-insert to mark as most recently used
+  this.entries.set(key, entry);
+  return Promise.resolve(entry.value);
+};
+
+MemoryStore.prototype.set = function(key, value, ttl) {
+  if (!this.evict && !this.entries.has(key) && !this._hasRoom()) {
+    return Promise.reject(
+      new Error("MemoryStore is full with " + this.max + " entries")
+    );
+  }
+
+  this.entries.delete(key);
+  this.entries.set(key, {
+    value: value,
+    expires: Date.now() + (ttl || this.ttl) * 1000
+  });
+
+  // Map keeps insertion order, so the first key is the least recently used
+  while (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+
+  return Promise.resolve();
+};
+
+/**
+ * Whether one more entry fits, after dropping the expired ones when full.
+ */
+MemoryStore.prototype._hasRoom = function() {
+  if (this.entries.size < this.max) {
+    return true;
+  }
+
+  const now = Date.now();
+  this.entries.forEach((entry, key) => {
+    if (entry.expires <= now) {
+      this.entries.delete(key);
+    }
+  });
+  return this.entries.size < this.max;
+};
+
+MemoryStore.prototype.delete = function(key) {
+  this.entries.delete(key);
+  return Promise.resolve();
+};
+
+/**
+ * Adapter for Redis-like clients with get(key), set(key, value, "EX", ttl)
+ * and del(key), e.g. ioredis or node-redis v3. Both callback and promise
+ * style clients are supported.
+ */
+function RedisStore(client, options) {
+  if (!client) {
+    throw new TypeError("RedisStore requires a client");
+  }
+
+  options = options || {};
+  this.client = client;
+  this.prefix = options.prefix || "cas:";
+  this.ttl = options.ttl || DEFAULT_TTL;
+}
+
+RedisStore.prototype._call = function(method, args) {
+  return new Promise((resolve, reject) => {
+    const callback = (err, result) => (err ? reject(err) : resolve(result));
+    const returned = this.client[method].apply(
+      this.client,
+      args.concat(callback)
+    );
+    if (returned && typeof returned.then === "function") {
+      returned.then(resolve, reject);
+    }
+  });
+};
+
+RedisStore.prototype.get = function(key) {
+  return this._call("get", [this.prefix + key]).then(value =>
+    value === null ? undefined : value
+  );
+};
+
+RedisStore.prototype.set = function(key, value, ttl) {
+  return this._call("set", [
+    this.prefix + key,
+    value,
+    "EX",
+    ttl || this.ttl
+  ]).then(() => undefined);
+};
+
+RedisStore.prototype.delete = function(key) {
+  return this._call("del", [this.prefix + key]).then(() => undefined);
+};
+
+const defaultPgtStore = new MemoryStore();
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  RedisStore: RedisStore,
+  defaultPgtStore: defaultPgtStore
+};
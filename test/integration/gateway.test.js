@@ -0,0 +1,140 @@
+"use strict";
+
+const assert = require("assert");
+const GatewayStrategy = require("../../cas-gateway-strategy").Strategy;
+const isAnonymous = require("../../anonymous").isAnonymous;
+const createMockCasServer = require("../../mock-cas-server")
+  .createMockCasServer;
+const helpers = require("./helpers");
+
+const serverBaseURL = "https://app.kth.se";
+const gatewayUrl = serverBaseURL + "/app/loginGateway?nextUrl=%2Fapp%2Fpage";
+
+describe("GatewayStrategy against the mock CAS server", () => {
+  let cas;
+  let casUrl;
+  let strategy;
+
+  before(async () => {
+    cas = createMockCasServer({ transport: helpers.transport });
+    casUrl = await cas.listen();
+    strategy = new GatewayStrategy(
+      {
+        casUrl: casUrl,
+        serverBaseURL: serverBaseURL,
+        transport: helpers.transport,
+        logger: helpers.logger
+      },
+      (result, done) => done(null, result.user, result)
+    );
+  });
+
+  after(() => cas.close());
+
+  function createSession() {
+    return { id: "session-1", save: callback => callback() };
+  }
+
+  /**
+   * Follow the gateway redirects until the strategy decides.
+   */
+  async function gatewayLogin(browser, session) {
+    let location = gatewayUrl;
+    for (let i = 0; i < 5; i++) {
+      const outcome = await helpers.authenticate(
+        strategy,
+        helpers.requestFor(location, session)
+      );
+      if (outcome.action !== "redirect") {
+        return outcome;
+      }
+
+      assert.ok(outcome.location.indexOf(casUrl + "/login?") === 0);
+      assert.ok(outcome.location.indexOf("gateway=true") > 0);
+      const response = await browser.get(outcome.location);
+      assert.strictEqual(response.statusCode, 302);
+      location = response.headers.location;
+    }
+    throw new Error("The gateway login did not end");
+  }
+
+  it("falls back to the anonymous user without single sign-on", async () => {
+    const session = createSession();
+    const outcome = await gatewayLogin(helpers.createBrowser(), session);
+
+    assert.strictEqual(outcome.action, "success");
+    assert.ok(isAnonymous(outcome.user));
+    assert.ok(session.casGateway.anonymousAt > 0);
+  });
+
+  it("logs in the user of the single sign-on session", async () => {
+    const browser = helpers.createBrowser();
+    const response = await browser.get(casUrl + "/login?username=u1test");
+    assert.strictEqual(response.statusCode, 200);
+
+    const outcome = await gatewayLogin(browser, createSession());
+    assert.strictEqual(outcome.action, "success");
+    assert.strictEqual(outcome.user, "u1test");
+  });
+
+  describe("maxAttempts", () => {
+    function createGatewayStrategy(maxAttempts) {
+      return new GatewayStrategy(
+        {
+          casUrl: casUrl,
+          serverBaseURL: serverBaseURL,
+          maxAttempts: maxAttempts,
+          transport: helpers.transport,
+          logger: helpers.logger
+        },
+        (result, done) => done(null, result.user, result)
+      );
+    }
+
+    function returnTo(gatewayStrategy, nextUrl, session) {
+      return helpers.authenticate(
+        gatewayStrategy,
+        helpers.requestFor(
+          serverBaseURL +
+            "/app/loginGateway?nextUrl=" +
+            encodeURIComponent(nextUrl),
+          session
+        )
+      );
+    }
+
+    it("sends the user to the CAS server maxAttempts times", async () => {
+      const gatewayStrategy = createGatewayStrategy(3);
+      const session = createSession();
+
+      for (let i = 0; i < 3; i++) {
+        const outcome = await returnTo(gatewayStrategy, "/app/page", session);
+        assert.strictEqual(outcome.action, "redirect");
+      }
+
+      const outcome = await returnTo(gatewayStrategy, "/app/page", session);
+      assert.strictEqual(outcome.action, "success");
+      assert.ok(isAnonymous(outcome.user));
+      assert.strictEqual(session.casGateway.attempts["/app/page"], undefined);
+    });
+
+    it("counts the attempts per return URL", async () => {
+      const gatewayStrategy = createGatewayStrategy(1);
+      const session = createSession();
+
+      const first = await returnTo(gatewayStrategy, "/app/a", session);
+      assert.strictEqual(first.action, "redirect");
+      const other = await returnTo(gatewayStrategy, "/app/b", session);
+      assert.strictEqual(other.action, "redirect");
+
+      const outcome = await returnTo(gatewayStrategy, "/app/a", session);
+      assert.strictEqual(outcome.action, "success");
+      assert.ok(isAnonymous(outcome.user));
+      assert.strictEqual(session.casGateway.attempts["/app/b"].count, 1);
+    });
+
+    it("requires maxAttempts to be at least 1", () => {
+      assert.throws(() => createGatewayStrategy(-1), /max attempts/);
+    });
+  });
+});
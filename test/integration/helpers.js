@@ -0,0 +1,119 @@
+"use strict";
+
+/**
+ * Helpers for the integration tests, which run the strategies and route
+ * handlers against the mock CAS server over HTTP.
+ */
+const http = require("http");
+const url = require("url");
+const createTransport = require("../../transport").createTransport;
+
+// No keep-alive, so that the servers close right away after each test
+const transport = createTransport({ keepAlive: false, retries: 0 });
+
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Run strategy.authenticate on a copy of the strategy, as Passport does.
+ * Resolves to { action: "success" | "fail" | "redirect" | "error", ... }.
+ */
+function authenticate(strategy, req) {
+  return new Promise(resolve => {
+    const copy = Object.create(strategy);
+    copy.success = (user, info) =>
+      resolve({ action: "success", user: user, info: info });
+    copy.fail = (challenge, status) =>
+      resolve({ action: "fail", challenge: challenge, status: status });
+    copy.redirect = location =>
+      resolve({ action: "redirect", location: location });
+    copy.error = err => resolve({ action: "error", err: err });
+    copy.authenticate(req);
+  });
+}
+
+/**
+ * A request for the strategies from an absolute URL on the application.
+ */
+function requestFor(location, session) {
+  const parsed = url.parse(location, true);
+  return {
+    method: "GET",
+    originalUrl: parsed.path,
+    url: parsed.path,
+    query: parsed.query,
+    headers: { host: parsed.host },
+    session: session,
+    sessionID: session && session.id
+  };
+}
+
+/**
+ * A browser following nothing: GET the URL with the cookies of the jar and
+ * keep the cookies set by the response.
+ */
+function createBrowser() {
+  const cookies = {};
+
+  function get(location) {
+    const headers = {};
+    const cookie = Object.keys(cookies)
+      .map(name => name + "=" + cookies[name])
+      .join("; ");
+    if (cookie) {
+      headers.cookie = cookie;
+    }
+
+    return transport
+      .request({ url: location, headers: headers })
+      .then(response => {
+        [].concat(response.headers["set-cookie"] || []).forEach(setCookie => {
+          const pair = setCookie.split(";")[0];
+          const index = pair.indexOf("=");
+          cookies[pair.slice(0, index)] = pair.slice(index + 1);
+        });
+        return response;
+      });
+  }
+
+  return { get: get, cookies: cookies };
+}
+
+/**
+ * An application server with just enough of Express (req.query,
+ * res.status, res.send) for the route handlers.
+ */
+function createApp(handle) {
+  const server = http.createServer((req, res) => {
+    req.query = url.parse(req.url, true).query;
+    res.status = statusCode => {
+      res.statusCode = statusCode;
+      return res;
+    };
+    res.send = body => res.end(body);
+    handle(req, res);
+  });
+
+  return {
+    listen: () =>
+      new Promise(resolve =>
+        server.listen(0, "127.0.0.1", () =>
+          resolve("http://127.0.0.1:" + server.address().port)
+        )
+      ),
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+module.exports = {
+  transport: transport,
+  logger: logger,
+  authenticate: authenticate,
+  requestFor: requestFor,
+  createBrowser: createBrowser,
+  createApp: createApp
+};
@@ -0,0 +1,450 @@
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const querystring = require("querystring");
+const url = require("url");
+const OidcStrategy = require("../../cas-oidc-strategy").Strategy;
+const isAnonymous = require("../../anonymous").isAnonymous;
+const jwt = require("../../jwt");
+const helpers = require("./helpers");
+
+const serverBaseURL = "https://app.kth.se";
+const clientId = "my-app";
+
+function createKey(kid) {
+  const keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  return {
+    privateKey: keyPair.privateKey,
+    jwk: Object.assign(keyPair.publicKey.export({ format: "jwk" }), {
+      kid: kid,
+      use: "sig",
+      alg: "RS256"
+    })
+  };
+}
+
+const key1 = createKey("k1");
+const key2 = createKey("k2");
+
+describe("OidcStrategy against a local OIDC provider", () => {
+  let app;
+  let casUrl;
+  // The token and JWKS endpoints of the CAS server, the ID token of a login
+  // is built by provider.idToken(nonce)
+  const provider = {};
+
+  before(async () => {
+    app = helpers.createApp((req, res) => {
+      res.setHeader("content-type", "application/json");
+      if (req.url === "/oidc/jwks") {
+        provider.jwksFetches++;
+        return res.end(JSON.stringify(provider.jwks));
+      }
+      if (req.url === "/oidc/token" && req.method === "POST") {
+        let body = "";
+        req.on("data", chunk => (body += chunk));
+        return req.on("end", () => {
+          provider.tokenRequests.push(querystring.parse(body));
+          res.end(
+            JSON.stringify({
+              access_token: "AT-1-abcdef",
+              token_type: "Bearer",
+              id_token: provider.idToken(provider.nonce)
+            })
+          );
+        });
+      }
+      res.status(404).send("{}");
+    });
+    casUrl = await app.listen();
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    provider.jwks = { keys: [key1.jwk] };
+    provider.jwksFetches = 0;
+    provider.tokenRequests = [];
+    provider.idToken = nonce => signIdToken({ nonce: nonce });
+  });
+
+  function createStrategy(options) {
+    return new OidcStrategy(
+      Object.assign(
+        {
+          ssoBaseURL: casUrl,
+          clientId: clientId,
+          serverBaseURL: serverBaseURL,
+          transport: helpers.transport,
+          logger: helpers.logger
+        },
+        options
+      ),
+      (result, done) => done(null, result.user, result)
+    );
+  }
+
+  /**
+   * An ID token for u1test with the given claims, signed with key1 unless
+   * other signing options are given.
+   */
+  function signIdToken(claims, signing) {
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign(
+      Object.assign(
+        {
+          iss: casUrl + "/oidc",
+          aud: clientId,
+          sub: "u1test",
+          email: "u1test@kth.se",
+          iat: now,
+          exp: now + 300
+        },
+        claims
+      ),
+      Object.assign(
+        { algorithm: "RS256", key: key1.privateKey, keyId: "k1" },
+        signing
+      )
+    );
+  }
+
+  /**
+   * Start a login and come back from the authorization endpoint with a code,
+   * or with the given query. Resolves to the outcome of the callback.
+   */
+  async function login(strategy, options) {
+    options = options || {};
+    const session = options.session || {};
+    const start = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(
+        serverBaseURL + "/app/login" + (options.query || ""),
+        session
+      )
+    );
+    assert.strictEqual(start.action, "redirect");
+    const authorize = url.parse(start.location, true).query;
+    provider.nonce = authorize.nonce;
+    provider.authorize = authorize;
+
+    const back = Object.assign(
+      { code: "OC-1-abcdef", state: authorize.state },
+      options.callback
+    );
+    return helpers.authenticate(
+      strategy,
+      helpers.requestFor(
+        serverBaseURL + "/app/login?" + querystring.stringify(back),
+        session
+      )
+    );
+  }
+
+  it("logs in with the code and a valid ID token", async () => {
+    const outcome = await login(createStrategy());
+
+    assert.strictEqual(outcome.action, "success");
+    assert.strictEqual(outcome.user, "u1test");
+    assert.deepStrictEqual(outcome.info.attributes, {
+      sub: "u1test",
+      email: "u1test@kth.se"
+    });
+    assert.strictEqual(outcome.info.accessToken, "AT-1-abcdef");
+    assert.strictEqual(provider.jwksFetches, 1);
+
+    const form = provider.tokenRequests[0];
+    assert.strictEqual(form.code, "OC-1-abcdef");
+    assert.strictEqual(form.redirect_uri, serverBaseURL + "/app/login");
+    assert.strictEqual(
+      jwt.base64UrlEncode(
+        crypto
+          .createHash("sha256")
+          .update(form.code_verifier)
+          .digest()
+      ),
+      provider.authorize.code_challenge
+    );
+  });
+
+  // description, ID token for the nonce of the login, reason in the message
+  const rejected = [
+    [
+      "alg none",
+      nonce =>
+        jwt.base64UrlEncode(JSON.stringify({ alg: "none", kid: "k1" })) +
+        "." +
+        jwt.base64UrlEncode(JSON.stringify({ sub: "u1test", nonce: nonce })) +
+        ".",
+      "unsupported algorithm none"
+    ],
+    [
+      "HS256 signed with the public key",
+      nonce =>
+        signIdToken(
+          { nonce: nonce },
+          { algorithm: "HS256", key: jwt.jwkToPem(key1.jwk) }
+        ),
+      "unsupported algorithm HS256"
+    ],
+    [
+      "a signature by another key",
+      nonce => signIdToken({ nonce: nonce }, { key: key2.privateKey }),
+      "bad signature"
+    ],
+    [
+      "another issuer",
+      nonce => signIdToken({ nonce: nonce, iss: "https://evil.com/oidc" }),
+      "unexpected issuer"
+    ],
+    [
+      "another audience",
+      nonce => signIdToken({ nonce: nonce, aud: "other-app" }),
+      "not issued for this client"
+    ],
+    [
+      "several audiences without azp",
+      nonce => signIdToken({ nonce: nonce, aud: [clientId, "other-app"] }),
+      "not authorized for this client"
+    ],
+    [
+      "several audiences authorized for another client",
+      nonce =>
+        signIdToken({
+          nonce: nonce,
+          aud: [clientId, "other-app"],
+          azp: "other-app"
+        }),
+      "not authorized for this client"
+    ],
+    ["another nonce", () => signIdToken({ nonce: "other" }), "nonce mismatch"],
+    ["no nonce", () => signIdToken({}), "nonce mismatch"],
+    [
+      "an expired token",
+      nonce =>
+        signIdToken({ nonce: nonce, exp: Math.floor(Date.now() / 1000) - 61 }),
+      "expired"
+    ],
+    [
+      "a token without exp",
+      nonce => signIdToken({ nonce: nonce, exp: undefined }),
+      "expired"
+    ],
+    [
+      "a token issued in the future",
+      nonce =>
+        signIdToken({ nonce: nonce, iat: Math.floor(Date.now() / 1000) + 120 }),
+      "issued in the future"
+    ],
+    [
+      "a token without sub",
+      nonce => signIdToken({ nonce: nonce, sub: undefined }),
+      "no sub claim"
+    ],
+    ["a malformed token", () => "not-a-jwt", "Malformed JWT"]
+  ];
+
+  rejected.forEach(entry => {
+    it("fails for " + entry[0], async () => {
+      provider.idToken = entry[1];
+      const outcome = await login(createStrategy());
+
+      assert.strictEqual(outcome.action, "fail");
+      assert.strictEqual(outcome.challenge.code, "INVALID_ID_TOKEN");
+      assert.ok(
+        outcome.challenge.message.indexOf(entry[2]) > 0,
+        outcome.challenge.message
+      );
+    });
+  });
+
+  it("skips a claim named __proto__", async () => {
+    provider.idToken = nonce => {
+      const claims = jwt.decode(signIdToken({ nonce: nonce })).payload;
+      // An own property, as JSON.parse makes it
+      Object.defineProperty(claims, "__proto__", {
+        value: { admin: true },
+        enumerable: true
+      });
+      return jwt.sign(claims, {
+        algorithm: "RS256",
+        key: key1.privateKey,
+        keyId: "k1"
+      });
+    };
+    const outcome = await login(createStrategy());
+
+    assert.strictEqual(outcome.action, "success");
+    assert.strictEqual(outcome.info.attributes.admin, undefined);
+    assert.deepStrictEqual(Object.keys(outcome.info.attributes), [
+      "sub",
+      "email"
+    ]);
+  });
+
+  it("accepts several audiences authorized for this client", async () => {
+    provider.idToken = nonce =>
+      signIdToken({ nonce: nonce, aud: [clientId, "api"], azp: clientId });
+    const outcome = await login(createStrategy());
+    assert.strictEqual(outcome.action, "success");
+  });
+
+  it("accepts an expired token within the clock tolerance", async () => {
+    provider.idToken = nonce =>
+      signIdToken({ nonce: nonce, exp: Math.floor(Date.now() / 1000) - 30 });
+    const outcome = await login(createStrategy());
+    assert.strictEqual(outcome.action, "success");
+  });
+
+  it("fails when the token endpoint rejects the code", async () => {
+    const strategy = createStrategy({
+      endpoints: { oidcToken: "oidc/unknown" }
+    });
+    const outcome = await login(strategy);
+    assert.strictEqual(outcome.action, "fail");
+    assert.strictEqual(outcome.challenge.code, "INVALID_GRANT");
+  });
+
+  describe("renew", () => {
+    it("requires an auth_time after the login started", async () => {
+      provider.idToken = nonce =>
+        signIdToken({
+          nonce: nonce,
+          auth_time: Math.floor(Date.now() / 1000) - 3600
+        });
+      const outcome = await login(createStrategy(), { query: "?renew=true" });
+
+      assert.strictEqual(provider.authorize.prompt, "login");
+      assert.strictEqual(outcome.action, "fail");
+      assert.strictEqual(outcome.challenge.code, "NOT_A_FRESH_LOGIN");
+    });
+
+    it("fails without auth_time", async () => {
+      const outcome = await login(createStrategy({ renew: true }));
+      assert.strictEqual(outcome.challenge.code, "NOT_A_FRESH_LOGIN");
+    });
+
+    it("logs in with a fresh auth_time", async () => {
+      provider.idToken = nonce =>
+        signIdToken({ nonce: nonce, auth_time: Math.floor(Date.now() / 1000) });
+      const outcome = await login(createStrategy({ renew: true }));
+
+      assert.strictEqual(outcome.action, "success");
+      assert.strictEqual(outcome.info.renew, true);
+    });
+  });
+
+  describe("state", () => {
+    it("can only be used once", async () => {
+      const strategy = createStrategy();
+      const session = {};
+      const first = await login(strategy, { session: session });
+      assert.strictEqual(first.action, "success");
+
+      const again = await helpers.authenticate(
+        strategy,
+        helpers.requestFor(
+          serverBaseURL +
+            "/app/login?code=OC-1-abcdef&state=" +
+            provider.authorize.state,
+          session
+        )
+      );
+      assert.strictEqual(again.action, "fail");
+      assert.strictEqual(again.challenge.code, "INVALID_STATE");
+      assert.strictEqual(provider.tokenRequests.length, 1);
+    });
+
+    it("is only valid in the session that started the login", async () => {
+      const strategy = createStrategy();
+      await helpers.authenticate(
+        strategy,
+        helpers.requestFor(serverBaseURL + "/app/login", {})
+      );
+
+      const outcome = await login(strategy, {
+        callback: { state: "forged" }
+      });
+      assert.strictEqual(outcome.challenge.code, "INVALID_STATE");
+    });
+  });
+
+  describe("errors from the authorization endpoint", () => {
+    it("logs in the anonymous user for login_required with prompt=none", async () => {
+      const session = {};
+      const outcome = await login(createStrategy({ gateway: true }), {
+        session: session,
+        callback: { code: undefined, error: "login_required" }
+      });
+
+      assert.strictEqual(provider.authorize.prompt, "none");
+      assert.strictEqual(outcome.action, "success");
+      assert.ok(isAnonymous(outcome.user));
+      assert.ok(session.casGateway.anonymousAt > 0);
+      assert.strictEqual(provider.tokenRequests.length, 0);
+    });
+
+    it("fails for login_required without prompt=none", async () => {
+      const outcome = await login(createStrategy(), {
+        callback: { code: undefined, error: "login_required" }
+      });
+      assert.strictEqual(outcome.action, "fail");
+      assert.strictEqual(outcome.challenge.code, "login_required");
+    });
+
+    it("fails with OIDC_ERROR for errors not defined by OAuth", async () => {
+      const outcome = await login(createStrategy(), {
+        callback: { code: undefined, error: "made_up" }
+      });
+      assert.strictEqual(outcome.challenge.code, "OIDC_ERROR");
+    });
+  });
+
+  describe("JWKS", () => {
+    it("is fetched again for an unknown key, at most once a minute", async () => {
+      const strategy = createStrategy();
+      assert.strictEqual((await login(strategy)).action, "success");
+
+      // The CAS server rotated its keys
+      strategy._jwks.fetchedAt -= 61 * 1000;
+      provider.jwks = { keys: [key2.jwk] };
+      provider.idToken = nonce =>
+        signIdToken({ nonce: nonce }, { key: key2.privateKey, keyId: "k2" });
+      assert.strictEqual((await login(strategy)).action, "success");
+      assert.strictEqual(provider.jwksFetches, 2);
+
+      provider.idToken = nonce =>
+        signIdToken({ nonce: nonce }, { keyId: "k3" });
+      const outcome = await login(strategy);
+      assert.strictEqual(outcome.action, "fail");
+      assert.ok(outcome.challenge.message.indexOf("unknown key k3") > 0);
+      assert.strictEqual(provider.jwksFetches, 2);
+    });
+
+    it("is read from jwksFile and never fetched", async () => {
+      const jwksFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "oidc-")),
+        "jwks.json"
+      );
+      fs.writeFileSync(jwksFile, JSON.stringify({ keys: [key1.jwk] }));
+      const strategy = createStrategy({ jwksFile: jwksFile });
+      fs.unlinkSync(jwksFile);
+      fs.rmdirSync(path.dirname(jwksFile));
+
+      assert.strictEqual((await login(strategy)).action, "success");
+      provider.idToken = nonce =>
+        signIdToken({ nonce: nonce }, { key: key2.privateKey, keyId: "k2" });
+      const outcome = await login(strategy);
+      assert.strictEqual(outcome.action, "fail");
+      assert.strictEqual(provider.jwksFetches, 0);
+    });
+
+    it("requires a list of keys", () => {
+      assert.throws(() => createStrategy({ jwks: {} }), /list of keys/);
+    });
+  });
+});
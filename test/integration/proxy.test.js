@@ -0,0 +1,139 @@
+"use strict";
+
+const assert = require("assert");
+const casStrategy = require("../../cas-pgt-strategy");
+const ProxyTicketStrategy = require("../../cas-proxy-strategy").Strategy;
+const routeHandlers = require("../../routeHandlers");
+const MemoryStore = require("../../stores").MemoryStore;
+const errors = require("../../errors");
+const createMockCasServer = require("../../mock-cas-server")
+  .createMockCasServer;
+const helpers = require("./helpers");
+
+const apiService = "https://api.kth.se/api/myapi";
+
+describe("Proxy tickets against the mock CAS server", () => {
+  let cas;
+  let casUrl;
+  let app;
+  let appUrl;
+  let pgtUrl;
+  const pgtStore = new MemoryStore();
+
+  before(async () => {
+    cas = createMockCasServer({ transport: helpers.transport });
+    casUrl = await cas.listen();
+
+    const handlers = routeHandlers({
+      casLoginUri: "/app/login",
+      casGatewayUri: "/app/loginGateway",
+      proxyPrefixPath: "/app",
+      pgtStore: pgtStore,
+      logger: helpers.logger
+    });
+    app = helpers.createApp(handlers.pgtCallbackHandler);
+    appUrl = await app.listen();
+    pgtUrl = appUrl + "/app/pgtCallback";
+  });
+
+  after(() => Promise.all([cas.close(), app.close()]));
+
+  /**
+   * Log in with Strategy and a pgtURL, resolves to the proxy granting ticket
+   * delivered to the pgtCallbackHandler.
+   */
+  async function loginWithPgt() {
+    const strategy = new casStrategy.Strategy(
+      {
+        ssoBaseURL: casUrl,
+        serverBaseURL: appUrl,
+        pgtURL: pgtUrl,
+        pgtStore: pgtStore,
+        transport: helpers.transport,
+        logger: helpers.logger
+      },
+      (result, done) => done(null, result.user, result)
+    );
+
+    const start = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(appUrl + "/app/login")
+    );
+    const response = await helpers
+      .createBrowser()
+      .get(start.location + "&username=u1test");
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(response.headers.location)
+    );
+
+    assert.strictEqual(result.action, "success");
+    assert.ok(result.info.pgtIou.indexOf("PGTIOU-") === 0);
+    assert.ok(result.info.pgtId.indexOf("PGT-") === 0);
+    return result.info.pgtId;
+  }
+
+  function createProxyTicketStrategy(allowedProxyChains) {
+    return new ProxyTicketStrategy(
+      {
+        ssoBaseURL: casUrl,
+        service: apiService,
+        allowedProxyChains: allowedProxyChains,
+        transport: helpers.transport,
+        logger: helpers.logger
+      },
+      (result, done) => done(null, result.user, result)
+    );
+  }
+
+  function apiRequest(ticket) {
+    return { headers: { "x-cas-ticket": ticket }, query: {} };
+  }
+
+  it("validates a proxy ticket from the pgtCallback PGT", async () => {
+    const pgtId = await loginWithPgt();
+    const ticket = await casStrategy.getProxyTicket(
+      { ssoBaseURL: casUrl, transport: helpers.transport },
+      pgtId,
+      apiService
+    );
+    assert.ok(ticket.indexOf("PT-") === 0);
+
+    const result = await helpers.authenticate(
+      createProxyTicketStrategy([[pgtUrl]]),
+      apiRequest(ticket)
+    );
+    assert.strictEqual(result.action, "success");
+    assert.strictEqual(result.user, "u1test");
+    assert.deepStrictEqual(result.info.proxies, [pgtUrl]);
+  });
+
+  it("rejects a proxy chain that is not allowed", async () => {
+    const pgtId = await loginWithPgt();
+    const ticket = await casStrategy.getProxyTicket(
+      { ssoBaseURL: casUrl, transport: helpers.transport },
+      pgtId,
+      apiService
+    );
+
+    const result = await helpers.authenticate(
+      createProxyTicketStrategy([["https://other.kth.se/pgtCallback"]]),
+      apiRequest(ticket)
+    );
+    assert.strictEqual(result.action, "fail");
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.challenge.code, "PROXY_CHAIN_NOT_ALLOWED");
+  });
+
+  it("rejects a proxy granting ticket the CAS server does not know", async () => {
+    await assert.rejects(
+      casStrategy.getProxyTicket(
+        { ssoBaseURL: casUrl, transport: helpers.transport },
+        "PGT-1-unknown",
+        apiService
+      ),
+      err =>
+        err instanceof errors.CasProxyError && err.code === "INVALID_TICKET"
+    );
+  });
+});
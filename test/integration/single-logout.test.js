@@ -0,0 +1,99 @@
+"use strict";
+
+const assert = require("assert");
+const Strategy = require("../../cas-pgt-strategy").Strategy;
+const routeHandlers = require("../../routeHandlers");
+const MemoryTicketSessionIndex = require("../../ticket-session-index")
+  .MemoryTicketSessionIndex;
+const createMockCasServer = require("../../mock-cas-server")
+  .createMockCasServer;
+const helpers = require("./helpers");
+
+describe("Single Logout from the mock CAS server", () => {
+  let cas;
+  let casUrl;
+  let app;
+  let appUrl;
+  const destroyed = [];
+  const sessionIndex = new MemoryTicketSessionIndex();
+  // The parts of an express-session store used by singleLogoutHandler
+  const sessionStore = {
+    get: (sessionId, callback) => callback(null, { id: sessionId }),
+    destroy: (sessionId, callback) => {
+      destroyed.push(sessionId);
+      callback();
+    }
+  };
+
+  before(async () => {
+    cas = createMockCasServer({
+      singleLogout: true,
+      transport: helpers.transport
+    });
+    casUrl = await cas.listen();
+
+    const handlers = routeHandlers({
+      casLoginUri: "/app/login",
+      casGatewayUri: "/app/loginGateway",
+      proxyPrefixPath: "/app",
+      ticketSessionIndex: sessionIndex,
+      logger: helpers.logger
+    });
+    app = helpers.createApp((req, res) => {
+      req.sessionStore = sessionStore;
+      handlers.singleLogoutHandler(req, res);
+    });
+    appUrl = await app.listen();
+  });
+
+  after(() => Promise.all([cas.close(), app.close()]));
+
+  it("destroys the session the ticket was validated into", async () => {
+    const strategy = new Strategy(
+      {
+        ssoBaseURL: casUrl,
+        serverBaseURL: appUrl,
+        ticketSessionIndex: sessionIndex,
+        transport: helpers.transport,
+        logger: helpers.logger
+      },
+      (result, done) => done(null, result.user, result)
+    );
+    const browser = helpers.createBrowser();
+
+    const start = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(appUrl + "/app/login")
+    );
+    const response = await browser.get(start.location + "&username=u1test");
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(response.headers.location, { id: "session-1" })
+    );
+    assert.strictEqual(result.action, "success");
+
+    // The mock CAS server POSTs the LogoutRequest before it answers
+    const logout = await browser.get(casUrl + "/logout");
+    assert.strictEqual(logout.statusCode, 200);
+    assert.deepStrictEqual(destroyed, ["session-1"]);
+
+    const ticket = response.headers.location.split("ticket=")[1];
+    assert.strictEqual(await sessionIndex.get(ticket), undefined);
+  });
+
+  it("answers a logoutRequest for an unknown ticket", async () => {
+    const response = await helpers.transport.request({
+      url: appUrl + "/app/login",
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body:
+        "logoutRequest=" +
+        encodeURIComponent(
+          '<samlp:LogoutRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol">' +
+            "<samlp:SessionIndex>ST-1-unknown</samlp:SessionIndex></samlp:LogoutRequest>"
+        )
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(destroyed.length, 1);
+  });
+});
@@ -0,0 +1,174 @@
+"use strict";
+
+const assert = require("assert");
+const Strategy = require("../../cas-pgt-strategy").Strategy;
+const createMockCasServer = require("../../mock-cas-server")
+  .createMockCasServer;
+const helpers = require("./helpers");
+
+const users = {
+  u1test: { mail: "u1test@kth.se", memberOf: ["app.users", "app.admins"] }
+};
+const serverBaseURL = "https://app.kth.se";
+
+describe("Strategy login against the mock CAS server", () => {
+  let cas;
+  let casUrl;
+
+  before(async () => {
+    cas = createMockCasServer({ users: users, transport: helpers.transport });
+    casUrl = await cas.listen();
+  });
+
+  after(() => cas.close());
+
+  function createStrategy(options) {
+    return new Strategy(
+      Object.assign(
+        {
+          ssoBaseURL: casUrl,
+          serverBaseURL: serverBaseURL,
+          transport: helpers.transport,
+          logger: helpers.logger
+        },
+        options
+      ),
+      (result, done) => done(null, result.user, result)
+    );
+  }
+
+  /**
+   * Start a login, log in as the user at the CAS server and resolve to the
+   * URL the CAS server sends the browser back to.
+   */
+  async function loginAt(strategy, browser) {
+    const start = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(serverBaseURL + "/app/login?nextUrl=%2Fapp")
+    );
+    assert.strictEqual(start.action, "redirect");
+    assert.ok(start.location.indexOf(casUrl + "/login?") === 0);
+
+    const response = await browser.get(start.location + "&username=u1test");
+    assert.strictEqual(response.statusCode, 302);
+    return response.headers.location;
+  }
+
+  ["cas2", "cas3"].forEach(protocol => {
+    it("logs in with " + protocol, async () => {
+      const strategy = createStrategy({ protocol: protocol });
+      const location = await loginAt(strategy, helpers.createBrowser());
+      assert.ok(
+        location.indexOf(
+          serverBaseURL + "/app/login?nextUrl=%2Fapp&ticket=ST-"
+        ) === 0
+      );
+
+      const result = await helpers.authenticate(
+        strategy,
+        helpers.requestFor(location)
+      );
+      assert.strictEqual(result.action, "success");
+      assert.strictEqual(result.user, "u1test");
+      if (protocol === "cas3") {
+        assert.strictEqual(result.info.attributes.mail, "u1test@kth.se");
+        assert.deepStrictEqual(result.info.attributes.memberOf, [
+          "app.users",
+          "app.admins"
+        ]);
+      }
+    });
+  });
+
+  it("fails when a ticket is used twice", async () => {
+    const strategy = createStrategy();
+    const location = await loginAt(strategy, helpers.createBrowser());
+
+    const first = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(location)
+    );
+    assert.strictEqual(first.action, "success");
+
+    const second = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(location)
+    );
+    assert.strictEqual(second.action, "fail");
+    assert.strictEqual(second.challenge.code, "INVALID_TICKET");
+  });
+
+  it("uses the single sign-on session for the next login", async () => {
+    const strategy = createStrategy();
+    const browser = helpers.createBrowser();
+    await loginAt(strategy, browser);
+
+    const start = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(serverBaseURL + "/app/login")
+    );
+    const response = await browser.get(start.location);
+    assert.strictEqual(response.statusCode, 302);
+
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(response.headers.location)
+    );
+    assert.strictEqual(result.user, "u1test");
+  });
+
+  it("waits for a verify function returning a promise", async () => {
+    const strategy = new Strategy(
+      {
+        ssoBaseURL: casUrl,
+        serverBaseURL: serverBaseURL,
+        transport: helpers.transport,
+        logger: helpers.logger
+      },
+      result => Promise.resolve({ user: result.user })
+    );
+    const location = await loginAt(strategy, helpers.createBrowser());
+
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(location)
+    );
+    assert.strictEqual(result.action, "success");
+    assert.strictEqual(result.user, "u1test");
+    assert.strictEqual(result.info.user, "u1test");
+  });
+
+  it("errors instead of redirecting for a service that is not allowed", async () => {
+    const strategy = createStrategy({
+      allowedServices: ["https://app.kth.se/other/*"]
+    });
+
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(serverBaseURL + "/app/login?nextUrl=%2Fapp")
+    );
+    assert.strictEqual(result.action, "error");
+    assert.strictEqual(result.err.code, "SERVICE_NOT_ALLOWED");
+  });
+
+  it("logs in and warns when the ticket cannot be indexed", async () => {
+    const warnings = [];
+    const strategy = createStrategy({
+      ticketSessionIndex: { set: () => Promise.reject(new Error("down")) },
+      logger: Object.assign({}, helpers.logger, {
+        warn: (fields, message) => warnings.push([fields.err.message, message])
+      })
+    });
+    const location = await loginAt(strategy, helpers.createBrowser());
+
+    const result = await helpers.authenticate(
+      strategy,
+      helpers.requestFor(location, { id: "s1" })
+    );
+    assert.strictEqual(result.action, "success");
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(warnings, [
+      ["down", "Could not index ticket for logout"]
+    ]);
+  });
+});
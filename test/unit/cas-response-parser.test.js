@@ -0,0 +1,127 @@
+"use strict";
+
+const assert = require("assert");
+const parser = require("../../cas-response-parser");
+const samlResponse = require("./helpers").samlResponse;
+
+function serviceResponse(attributes) {
+  return (
+    '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">' +
+    "<cas:authenticationSuccess><cas:user>u1test</cas:user>" +
+    "<cas:attributes>" +
+    attributes +
+    "</cas:attributes></cas:authenticationSuccess></cas:serviceResponse>"
+  );
+}
+
+describe("cas-response-parser", () => {
+  describe("parseServiceResponse", () => {
+    it("collects attributes released more than once into lists", () => {
+      const result = parser.parseServiceResponse(
+        serviceResponse(
+          "<cas:mail>u1test@kth.se</cas:mail>" +
+            "<cas:memberOf>app.users</cas:memberOf>" +
+            "<cas:memberOf>app.admins</cas:memberOf>" +
+            '<cas:attribute name="displayName" value="U1 Test"/>'
+        )
+      );
+      assert.strictEqual(result.user, "u1test");
+      assert.deepStrictEqual(result.attributes, {
+        mail: "u1test@kth.se",
+        memberOf: ["app.users", "app.admins"],
+        displayName: "U1 Test"
+      });
+    });
+
+    it("skips an attribute named __proto__", () => {
+      const result = parser.parseServiceResponse(
+        serviceResponse(
+          "<cas:__proto__>x</cas:__proto__>" +
+            '<cas:attribute name="__proto__" value="y"/>' +
+            "<cas:mail>u1test@kth.se</cas:mail>"
+        )
+      );
+      assert.strictEqual(
+        Object.getPrototypeOf(result.attributes),
+        Object.prototype
+      );
+      assert.deepStrictEqual(Object.keys(result.attributes), ["mail"]);
+    });
+  });
+
+  describe("parseSamlResponse", () => {
+    it("reads the user, attributes and validity of the assertion", () => {
+      const result = parser.parseSamlResponse(
+        samlResponse({
+          notBefore: "2026-01-01T00:00:00.000Z",
+          notOnOrAfter: "2026-01-01T00:00:30.000Z",
+          attributes: {
+            mail: ["u1test@kth.se"],
+            memberOf: ["app.users", "app.admins"]
+          }
+        })
+      );
+      assert.deepStrictEqual(result, {
+        user: "u1test",
+        attributes: {
+          mail: "u1test@kth.se",
+          memberOf: ["app.users", "app.admins"]
+        },
+        validFrom: new Date("2026-01-01T00:00:00.000Z"),
+        validUntil: new Date("2026-01-01T00:00:30.000Z"),
+        failure: null
+      });
+    });
+
+    it("leaves out a validity window not given", () => {
+      const result = parser.parseSamlResponse(samlResponse());
+      assert.strictEqual(result.validFrom, undefined);
+      assert.strictEqual(result.validUntil, undefined);
+      assert.deepStrictEqual(result.attributes, {});
+    });
+
+    it("returns a status other than Success as failure", () => {
+      const result = parser.parseSamlResponse(
+        samlResponse({
+          status: "samlp:RequestDenied",
+          message: "Ticket ST-1-abcdef not recognized"
+        })
+      );
+      assert.strictEqual(result.user, undefined);
+      assert.deepStrictEqual(result.failure, {
+        code: "RequestDenied",
+        message: "Ticket ST-1-abcdef not recognized"
+      });
+    });
+
+    it("throws on a response without a NameIdentifier", () => {
+      assert.throws(
+        () => parser.parseSamlResponse(samlResponse({ user: " " })),
+        /NameIdentifier/
+      );
+    });
+
+    it("throws on other XML", () => {
+      assert.throws(
+        () => parser.parseSamlResponse("<html><body>Login</body></html>"),
+        /Not a SAML 1.1 Response/
+      );
+    });
+
+    it("skips an attribute named __proto__", () => {
+      const result = parser.parseSamlResponse(
+        samlResponse({
+          // Not an object literal, where __proto__ sets the prototype
+          attributes: JSON.parse(
+            '{ "__proto__": ["a", "b"], "mail": ["u1test@kth.se"] }'
+          )
+        })
+      );
+      assert.strictEqual(
+        Object.getPrototypeOf(result.attributes),
+        Object.prototype
+      );
+      assert.deepStrictEqual(result.attributes, { mail: "u1test@kth.se" });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const assert = require("assert");
+const gatewayState = require("../../gateway-state");
+
+describe("gateway-state", () => {
+  describe("attempts", () => {
+    it("counts the attempts per return URL", () => {
+      const session = {};
+      assert.strictEqual(gatewayState.addAttempt(session, "/app/a", 60), 1);
+      assert.strictEqual(gatewayState.addAttempt(session, "/app/a", 60), 2);
+      assert.strictEqual(gatewayState.addAttempt(session, "/app/b", 60), 1);
+
+      assert.strictEqual(gatewayState.attempts(session, "/app/a"), 2);
+      assert.strictEqual(gatewayState.attempts(session, "/app/b"), 1);
+      assert.strictEqual(gatewayState.attempts(session, "/app/c"), 0);
+    });
+
+    it("resets the attempts of one return URL", () => {
+      const session = {};
+      gatewayState.addAttempt(session, "/app/a", 60);
+      gatewayState.addAttempt(session, "/app/b", 60);
+
+      gatewayState.resetAttempts(session, "/app/a");
+      assert.strictEqual(gatewayState.attempts(session, "/app/a"), 0);
+      assert.strictEqual(gatewayState.attempts(session, "/app/b"), 1);
+    });
+
+    it("forgets attempts after the ttl", () => {
+      const session = {};
+      gatewayState.addAttempt(session, "/app/a", 60);
+      gatewayState.addAttempt(session, "/app/b", 60);
+      session.casGateway.attempts["/app/a"].expires = Date.now() - 1;
+
+      assert.strictEqual(gatewayState.attempts(session, "/app/a"), 0);
+      assert.strictEqual(gatewayState.addAttempt(session, "/app/a", 60), 1);
+      assert.strictEqual(gatewayState.attempts(session, "/app/b"), 1);
+    });
+
+    it("extends the ttl on each attempt", () => {
+      const session = {};
+      gatewayState.addAttempt(session, "/app/a", 60);
+      session.casGateway.attempts["/app/a"].expires = Date.now() + 1000;
+
+      gatewayState.addAttempt(session, "/app/a", 60);
+      assert.ok(
+        session.casGateway.attempts["/app/a"].expires > Date.now() + 59000
+      );
+    });
+
+    it("tracks at most 20 return URLs, dropping the least recent", () => {
+      const session = {};
+      for (let i = 0; i < 20; i++) {
+        gatewayState.addAttempt(session, "/app/" + i, 60);
+      }
+      // Touching /app/0 makes /app/1 the least recent
+      gatewayState.addAttempt(session, "/app/0", 60);
+      gatewayState.addAttempt(session, "/app/20", 60);
+
+      assert.strictEqual(Object.keys(session.casGateway.attempts).length, 20);
+      assert.strictEqual(gatewayState.attempts(session, "/app/0"), 2);
+      assert.strictEqual(gatewayState.attempts(session, "/app/1"), 0);
+      assert.strictEqual(gatewayState.attempts(session, "/app/2"), 1);
+      assert.strictEqual(gatewayState.attempts(session, "/app/20"), 1);
+    });
+
+    it("replaces state that is not an object", () => {
+      const session = { casGateway: "broken" };
+      assert.strictEqual(gatewayState.attempts(session, "/app/a"), 0);
+      assert.strictEqual(gatewayState.addAttempt(session, "/app/a", 60), 1);
+    });
+  });
+
+  describe("isAnonymousFresh", () => {
+    it("is true within the ttl after setAnonymous", () => {
+      const session = {};
+      assert.strictEqual(gatewayState.isAnonymousFresh(session, 60), false);
+
+      gatewayState.setAnonymous(session, true);
+      assert.strictEqual(gatewayState.isAnonymousFresh(session, 60), true);
+    });
+
+    it("is false after the ttl", () => {
+      const session = {};
+      gatewayState.setAnonymous(session, true);
+      session.casGateway.anonymousAt = Date.now() - 61000;
+
+      assert.strictEqual(gatewayState.isAnonymousFresh(session, 60), false);
+      assert.strictEqual(gatewayState.isAnonymousFresh(session, 120), true);
+    });
+
+    it("is false after setAnonymous with false", () => {
+      const session = {};
+      gatewayState.setAnonymous(session, true);
+      gatewayState.setAnonymous(session, false);
+
+      assert.strictEqual(gatewayState.isAnonymousFresh(session, 60), false);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Helpers for the unit tests.
+ */
+
+/**
+ * A /samlValidate response as sent by the CAS server.
+ *
+ * @param options - { status, message, user, notBefore, notOnOrAfter,
+ *                  attributes: { name: [values] } }
+ */
+function samlResponse(options) {
+  options = options || {};
+  const status = options.status || "samlp:Success";
+  const attributes = options.attributes || {};
+  const subject =
+    "<Subject><NameIdentifier>" +
+    (options.user || "u1test") +
+    "</NameIdentifier><SubjectConfirmation><ConfirmationMethod>" +
+    "urn:oasis:names:tc:SAML:1.0:cm:artifact" +
+    "</ConfirmationMethod></SubjectConfirmation></Subject>";
+
+  const conditions =
+    "<Conditions" +
+    (options.notBefore ? ' NotBefore="' + options.notBefore + '"' : "") +
+    (options.notOnOrAfter
+      ? ' NotOnOrAfter="' + options.notOnOrAfter + '"'
+      : "") +
+    "><AudienceRestrictionCondition><Audience>https://app.kth.se/app/login" +
+    "</Audience></AudienceRestrictionCondition></Conditions>";
+
+  const assertion =
+    '<Assertion xmlns="urn:oasis:names:tc:SAML:1.0:assertion"' +
+    ' AssertionID="_a1" IssueInstant="2026-01-01T00:00:00.000Z"' +
+    ' Issuer="login.kth.se" MajorVersion="1" MinorVersion="1">' +
+    conditions +
+    "<AttributeStatement>" +
+    subject +
+    Object.keys(attributes)
+      .map(
+        name =>
+          '<Attribute AttributeName="' +
+          name +
+          '" AttributeNamespace="http://www.ja-sig.org/products/cas/">' +
+          attributes[name]
+            .map(value => "<AttributeValue>" + value + "</AttributeValue>")
+            .join("") +
+          "</Attribute>"
+      )
+      .join("") +
+    "</AttributeStatement>" +
+    '<AuthenticationStatement AuthenticationInstant="2026-01-01T00:00:00.000Z"' +
+    ' AuthenticationMethod="urn:oasis:names:tc:SAML:1.0:am:password">' +
+    subject +
+    "</AuthenticationStatement></Assertion>";
+
+  return (
+    '<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://schemas.xmlsoap.org/soap/envelope/">' +
+    "<SOAP-ENV:Header/><SOAP-ENV:Body>" +
+    '<Response xmlns="urn:oasis:names:tc:SAML:1.0:protocol"' +
+    ' xmlns:samlp="urn:oasis:names:tc:SAML:1.0:protocol"' +
+    ' IssueInstant="2026-01-01T00:00:00.000Z" MajorVersion="1"' +
+    ' MinorVersion="1" ResponseID="_r1">' +
+    '<Status><StatusCode Value="' +
+    status +
+    '"/>' +
+    (options.message
+      ? "<StatusMessage>" + options.message + "</StatusMessage>"
+      : "") +
+    "</Status>" +
+    (status === "samlp:Success" ? assertion : "") +
+    "</Response></SOAP-ENV:Body></SOAP-ENV:Envelope>"
+  );
+}
+
+module.exports = {
+  samlResponse: samlResponse
+};
@@ -0,0 +1,429 @@
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const jwtTokens = require("../../jwt-tokens");
+const jwt = require("../../jwt");
+const gatewayState = require("../../gateway-state");
+const MemoryStore = require("../../stores").MemoryStore;
+
+const secret = "0123456789abcdef0123456789abcdef";
+const keyPair = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" }
+});
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Enough of an Express response for the token middleware and routes.
+ */
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, cookies: {} };
+  res.status = statusCode => {
+    res.statusCode = statusCode;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  res.redirect = location => {
+    res.location = location;
+  };
+  res.cookie = (name, value, options) => {
+    res.cookies[name] = { value: value, options: options };
+  };
+  res.clearCookie = name => {
+    res.cookies[name] = { cleared: true };
+  };
+  return res;
+}
+
+/**
+ * Run requireToken on a request, resolves to the response and whether
+ * next was called.
+ */
+function runRequireToken(tokens, req, requireOptions) {
+  return new Promise(resolve => {
+    const res = createResponse();
+    const done = passed => resolve({ res: res, passed: passed });
+    res.json = body => {
+      res.body = body;
+      done(false);
+    };
+    res.redirect = location => {
+      res.location = location;
+      done(false);
+    };
+    tokens.requireToken(requireOptions)(
+      Object.assign({ method: "GET", headers: {} }, req),
+      res,
+      () => done(true)
+    );
+  });
+}
+
+function createTokens(options) {
+  return jwtTokens(
+    Object.assign(
+      {
+        secret: secret,
+        cookieName: "tok",
+        events: new EventEmitter(),
+        logger: logger
+      },
+      options
+    )
+  );
+}
+
+async function issueToken(tokens, session) {
+  return tokens.issue(
+    { session: session || {} },
+    createResponse(),
+    { user: "u1test" },
+    { username: "u1test", roles: ["admin"] }
+  );
+}
+
+describe("jwt-tokens", () => {
+  describe("requireToken", () => {
+    it("reads the token from the cookie", async () => {
+      const tokens = createTokens();
+      const token = await issueToken(tokens);
+      const result = await runRequireToken(tokens, {
+        headers: { cookie: "other=1; tok=" + encodeURIComponent(token) }
+      });
+      assert.strictEqual(result.passed, true);
+    });
+
+    it("answers 401 for a malformed token cookie", async () => {
+      const result = await runRequireToken(createTokens(), {
+        headers: { cookie: "tok=%E0%A4%A" }
+      });
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.res.statusCode, 401);
+      assert.deepStrictEqual(result.res.body, { error: "login_required" });
+    });
+  });
+  describe("sign and verify", () => {
+    it("issues and verifies HS256 tokens", async () => {
+      const tokens = createTokens({ issuer: "https://app", audience: "api" });
+      const token = await issueToken(tokens);
+      const decoded = jwt.decode(token);
+      assert.strictEqual(decoded.header.alg, "HS256");
+
+      const claims = await tokens.verify(token);
+      assert.strictEqual(claims.sub, "u1test");
+      assert.strictEqual(claims.username, "u1test");
+      assert.deepStrictEqual(claims.roles, ["admin"]);
+      assert.strictEqual(claims.iss, "https://app");
+      assert.strictEqual(claims.aud, "api");
+      assert.strictEqual(claims.exp - claims.iat, 900);
+      assert.ok(claims.jti);
+    });
+
+    it("issues RS256 tokens verified with the public key only", async () => {
+      const issuer = createTokens({
+        algorithm: "RS256",
+        privateKey: keyPair.privateKey,
+        keyId: "k1"
+      });
+      const verifier = createTokens({
+        algorithm: "RS256",
+        publicKey: keyPair.publicKey,
+        keyId: "k1"
+      });
+      const token = await issueToken(issuer);
+      assert.strictEqual(jwt.decode(token).header.kid, "k1");
+      assert.strictEqual((await verifier.verify(token)).sub, "u1test");
+      await assert.rejects(
+        issueToken(verifier),
+        /needs a privateKey to issue tokens/
+      );
+    });
+
+    it("requires a long enough HS256 secret", () => {
+      assert.throws(() => jwtTokens({ secret: "short" }), TypeError);
+      assert.throws(
+        () => jwtTokens({ algorithm: "none", secret: secret }),
+        TypeError
+      );
+    });
+
+    it("does not take claims set by the issuer from the claims option", async () => {
+      const tokens = createTokens({
+        claims: () => ({ exp: 1, jti: "fixed", email: "u1test@kth.se" })
+      });
+      const claims = await tokens.verify(await issueToken(tokens));
+      assert.strictEqual(claims.email, "u1test@kth.se");
+      assert.notStrictEqual(claims.jti, "fixed");
+      assert.ok(claims.exp > Date.now() / 1000);
+    });
+
+    const now = Math.floor(Date.now() / 1000);
+    const rejected = [
+      [
+        "another algorithm than configured",
+        () =>
+          jwt.sign(
+            { sub: "u1", exp: now + 60 },
+            { algorithm: "RS256", key: keyPair.privateKey }
+          ),
+        /Unexpected algorithm RS256/
+      ],
+      [
+        "alg none",
+        () =>
+          jwt.base64UrlEncode(JSON.stringify({ alg: "none" })) +
+          "." +
+          jwt.base64UrlEncode(JSON.stringify({ sub: "u1", exp: now + 60 })) +
+          ".",
+        /Unexpected algorithm none/
+      ],
+      [
+        "a bad signature",
+        () =>
+          jwt.sign(
+            { sub: "u1", exp: now + 60 },
+            { algorithm: "HS256", key: secret.replace("0", "x") }
+          ),
+        /Bad signature/
+      ],
+      [
+        "an expired token",
+        () =>
+          jwt.sign(
+            { sub: "u1", exp: now - 31 },
+            { algorithm: "HS256", key: secret }
+          ),
+        /Token expired/
+      ],
+      [
+        "a token without exp",
+        () => jwt.sign({ sub: "u1" }, { algorithm: "HS256", key: secret }),
+        /Token expired/
+      ],
+      [
+        "a token not yet valid",
+        () =>
+          jwt.sign(
+            { sub: "u1", exp: now + 600, nbf: now + 300 },
+            { algorithm: "HS256", key: secret }
+          ),
+        /Token not yet valid/
+      ],
+      ["a malformed token", () => "not.a.jwt", /Malformed JWT/]
+    ];
+
+    rejected.forEach(entry => {
+      it("rejects " + entry[0], async () => {
+        await assert.rejects(createTokens().verify(entry[1]()), entry[2]);
+      });
+    });
+
+    it("accepts an expired token within the clock tolerance", async () => {
+      const token = jwt.sign(
+        { sub: "u1", exp: now - 10 },
+        { algorithm: "HS256", key: secret }
+      );
+      assert.strictEqual((await createTokens().verify(token)).sub, "u1");
+    });
+
+    it("rejects RS256 tokens signed with the public key as HS256 secret", async () => {
+      const verifier = createTokens({
+        algorithm: "RS256",
+        publicKey: keyPair.publicKey
+      });
+      const token = jwt.sign(
+        { sub: "u1", exp: now + 60 },
+        { algorithm: "HS256", key: keyPair.publicKey }
+      );
+      await assert.rejects(verifier.verify(token), /Unexpected algorithm/);
+    });
+
+    it("checks the issuer, audience and key id", async () => {
+      const token = await issueToken(
+        createTokens({
+          issuer: "https://other",
+          audience: "other",
+          keyId: "k2"
+        })
+      );
+      await assert.rejects(
+        createTokens({ issuer: "https://app" }).verify(token),
+        /Unexpected issuer/
+      );
+      await assert.rejects(
+        createTokens({ audience: ["api", "api2"] }).verify(token),
+        /Not issued for this audience/
+      );
+      await assert.rejects(
+        createTokens({ keyId: "k1" }).verify(token),
+        /Unknown key k2/
+      );
+    });
+  });
+
+  describe("revocation", () => {
+    it("rejects the tokens of a session after revoke", async () => {
+      const tokens = createTokens();
+      const session = {};
+      const first = await issueToken(tokens, session);
+      const second = await issueToken(tokens, session);
+      const res = createResponse();
+
+      await tokens.revoke({ session: session }, res);
+      await assert.rejects(tokens.verify(first), /Token revoked/);
+      await assert.rejects(tokens.verify(second), /Token revoked/);
+      assert.strictEqual(res.cookies.tok.cleared, true);
+      assert.strictEqual(session.casJwtIds, undefined);
+    });
+
+    it("rejects the tokens of a stored session after revokeSession", async () => {
+      const tokens = createTokens();
+      const session = {};
+      const token = await issueToken(tokens, session);
+      const other = await issueToken(tokens, {});
+
+      await tokens.revokeSession(JSON.parse(JSON.stringify(session)));
+      await assert.rejects(tokens.verify(token), /Token revoked/);
+      assert.strictEqual((await tokens.verify(other)).sub, "u1test");
+    });
+
+    it("emits token.revoked", async () => {
+      const events = new EventEmitter();
+      const revoked = [];
+      events.on("token.revoked", event => revoked.push(event));
+      const tokens = createTokens({ events: events });
+      const session = {};
+      await issueToken(tokens, session);
+
+      await tokens.revokeSession(session);
+      assert.strictEqual(revoked.length, 1);
+      assert.strictEqual(revoked[0].count, 1);
+    });
+
+    it("rejects revocations when the store is full", async () => {
+      const tokens = createTokens({
+        revocationStore: new MemoryStore({ max: 1, evict: false })
+      });
+      const first = {};
+      const second = {};
+      const revokedToken = await issueToken(tokens, first);
+      await issueToken(tokens, second);
+
+      await tokens.revokeSession(first);
+      await assert.rejects(tokens.revokeSession(second), /full/);
+      await assert.rejects(tokens.verify(revokedToken), /Token revoked/);
+    });
+  });
+
+  describe("refresh by gateway", () => {
+    function browserRequest(session) {
+      return {
+        originalUrl: "/app/page",
+        session: session,
+        accepts: types => (types.indexOf("html") >= 0 ? "html" : false)
+      };
+    }
+
+    it("sends browser navigations without a token through the gateway", async () => {
+      const result = await runRequireToken(
+        createTokens({ gatewayUri: "/app/gateway" }),
+        browserRequest({})
+      );
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(
+        result.res.location,
+        "/app/gateway?nextUrl=%2Fapp%2Fpage"
+      );
+    });
+
+    it("answers 401 when the gateway just found the user anonymous", async () => {
+      const session = {};
+      gatewayState.setAnonymous(session, true);
+      const result = await runRequireToken(
+        createTokens({ gatewayUri: "/app/gateway" }),
+        browserRequest(session)
+      );
+      assert.strictEqual(result.res.statusCode, 401);
+      assert.strictEqual(result.res.location, undefined);
+    });
+
+    it("answers 401 to API requests and other methods", async () => {
+      const tokens = createTokens({ gatewayUri: "/app/gateway" });
+      const api = Object.assign(browserRequest({}), { accepts: () => "json" });
+      const post = Object.assign(browserRequest({}), { method: "POST" });
+
+      for (const req of [api, post]) {
+        const result = await runRequireToken(tokens, req);
+        assert.strictEqual(result.res.statusCode, 401);
+        assert.strictEqual(result.res.headers["www-authenticate"], "Bearer");
+      }
+    });
+
+    it("answers invalid_token for a rejected bearer token", async () => {
+      const result = await runRequireToken(createTokens(), {
+        headers: { authorization: "Bearer not.a.jwt" }
+      });
+      assert.strictEqual(result.res.statusCode, 401);
+      assert.deepStrictEqual(result.res.body, { error: "invalid_token" });
+    });
+
+    it("lets requests without a token through when optional", async () => {
+      const result = await runRequireToken(
+        createTokens(),
+        {},
+        {
+          optional: true
+        }
+      );
+      assert.strictEqual(result.passed, true);
+    });
+  });
+
+  describe("tokenHandler", () => {
+    it("issues a new token with the claims of the login", async () => {
+      const tokens = createTokens();
+      const session = {};
+      await issueToken(tokens, session);
+      const res = createResponse();
+
+      tokens.tokenHandler({ user: "u1test", session: session }, res);
+      assert.strictEqual(res.body.token_type, "Bearer");
+      assert.strictEqual(res.body.expires_in, 900);
+      assert.strictEqual(res.headers["cache-control"], "no-store");
+      const claims = await tokens.verify(res.body.access_token);
+      assert.strictEqual(claims.sub, "u1test");
+      assert.deepStrictEqual(claims.roles, ["admin"]);
+      assert.strictEqual(session.casJwtIds.length, 2);
+    });
+
+    it("answers 401 without a login", () => {
+      const tokens = createTokens();
+      [
+        { session: {} },
+        { user: "u1test", session: {} },
+        {
+          user: { casAnonymous: true, name: "anonymous-user" },
+          session: { casJwtClaims: { sub: "x" } }
+        }
+      ].forEach(req => {
+        const res = createResponse();
+        tokens.tokenHandler(req, res);
+        assert.strictEqual(res.statusCode, 401);
+      });
+    });
+  });
+});
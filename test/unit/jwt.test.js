@@ -0,0 +1,111 @@
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const jwt = require("../../jwt");
+
+describe("jwt", () => {
+  describe("jwkToPem", () => {
+    // Modulus lengths giving short and long DER lengths
+    [512, 1024, 2048].forEach(modulusLength => {
+      it("converts a " + modulusLength + " bit RSA key", () => {
+        const publicKey = crypto.generateKeyPairSync("rsa", {
+          modulusLength: modulusLength
+        }).publicKey;
+
+        assert.strictEqual(
+          jwt.jwkToPem(publicKey.export({ format: "jwk" })),
+          publicKey.export({ type: "spki", format: "pem" })
+        );
+      });
+    });
+
+    it("converts an exponent with the sign bit set", () => {
+      const publicKey = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 1024,
+        publicExponent: 0x81
+      }).publicKey;
+
+      assert.strictEqual(
+        jwt.jwkToPem(publicKey.export({ format: "jwk" })),
+        publicKey.export({ type: "spki", format: "pem" })
+      );
+    });
+
+    it("verifies signatures made with the private key", () => {
+      const keyPair = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048
+      });
+      const token = jwt.sign(
+        { sub: "u1test" },
+        { algorithm: "RS256", key: keyPair.privateKey }
+      );
+      const publicKey = jwt.jwkToPem(
+        keyPair.publicKey.export({ format: "jwk" })
+      );
+
+      assert.strictEqual(jwt.verifyRs256(jwt.decode(token), publicKey), true);
+      assert.strictEqual(
+        jwt.verifyRs256(jwt.decode(token.slice(0, -4) + "AAAA"), publicKey),
+        false
+      );
+    });
+
+    it("only takes RSA public keys", () => {
+      const ecKey = crypto
+        .generateKeyPairSync("ec", { namedCurve: "P-256" })
+        .publicKey.export({ format: "jwk" });
+      [undefined, {}, ecKey, { kty: "RSA", n: "AQAB" }].forEach(jwk => {
+        assert.throws(() => jwt.jwkToPem(jwk), /Only RSA public keys/);
+      });
+    });
+  });
+
+  describe("decode", () => {
+    it("splits a token into header and payload", () => {
+      const decoded = jwt.decode(
+        jwt.sign({ sub: "u1test" }, { algorithm: "HS256", key: "secret" })
+      );
+      assert.deepStrictEqual(decoded.header, { alg: "HS256", typ: "JWT" });
+      assert.deepStrictEqual(decoded.payload, { sub: "u1test" });
+      assert.strictEqual(decoded.signature.length, 32);
+    });
+
+    [
+      undefined,
+      "",
+      "a.b",
+      "a.b.c.d",
+      "e30.bm90IGpzb24.x",
+      "bnVsbA.e30.x"
+    ].forEach(token => {
+      it("throws on " + JSON.stringify(token), () => {
+        assert.throws(() => jwt.decode(token), /Malformed JWT/);
+      });
+    });
+  });
+
+  describe("verifyHs256", () => {
+    it("checks the signature with the secret", () => {
+      const decoded = jwt.decode(
+        jwt.sign({ sub: "u1test" }, { algorithm: "HS256", key: "secret" })
+      );
+      assert.strictEqual(jwt.verifyHs256(decoded, "secret"), true);
+      assert.strictEqual(jwt.verifyHs256(decoded, "other"), false);
+      assert.strictEqual(
+        jwt.verifyHs256(
+          Object.assign({}, decoded, { signature: Buffer.alloc(0) }),
+          "secret"
+        ),
+        false
+      );
+    });
+  });
+
+  it("only signs with HS256 and RS256", () => {
+    assert.throws(
+      () => jwt.sign({}, { algorithm: "none" }),
+      /Unsupported JWT algorithm none/
+    );
+  });
+});
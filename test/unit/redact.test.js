@@ -0,0 +1,205 @@
+"use strict";
+
+const assert = require("assert");
+const redact = require("../../redact");
+const errors = require("../../errors");
+
+// text -> redacted text
+const strings = [
+  ["ST-1234-abcdefghij-cas01", "ST-1234-ab****"],
+  ["PGT-99-xyz", "PGT-99-xy****"],
+  ["PGTIOU-5-secretvalue", "PGTIOU-5-se****"],
+  ["PT-abcdef", "PT-ab****"],
+  ["TGT-1-qwerty", "TGT-1-qw****"],
+  ["Ticket ST-1-abcdef not recognized", "Ticket ST-1-ab**** not recognized"],
+  [
+    "<cas:proxyGrantingTicket>PGTIOU-1-abcdef</cas:proxyGrantingTicket>",
+    "<cas:proxyGrantingTicket>PGTIOU-1-ab****</cas:proxyGrantingTicket>"
+  ],
+  ["/app/login?ticket=ST-7-abcdef&x=1", "/app/login?ticket=ST-7-ab****&x=1"],
+  ["ST-1-abc and PT-2-def", "ST-1-ab**** and PT-2-de****"],
+  ["No tickets, just a TEST-1", "No tickets, just a TEST-1"],
+  ["", ""]
+];
+
+// value -> redacted value
+const values = [
+  [{ ticket: "ST-1-abcdef" }, { ticket: "ST-1-ab****" }],
+  [{ pgtIou: "abcdef" }, { pgtIou: "[REDACTED]" }],
+  [{ pgtId: "PGT-1-abcdef" }, { pgtId: "PGT-1-ab****" }],
+  [{ pgt: "x" }, { pgt: "[REDACTED]" }],
+  [{ access_token: "eyJ.x.y" }, { access_token: "[REDACTED]" }],
+  [{ clientSecret: "s" }, { clientSecret: "[REDACTED]" }],
+  [{ password: "p" }, { password: "[REDACTED]" }],
+  [{ cookie: "sid=1" }, { cookie: "[REDACTED]" }],
+  [{ Authorization: "Bearer x" }, { Authorization: "[REDACTED]" }],
+  [{ sid: "abc" }, { sid: "[REDACTED]" }],
+  [{ sessionID: "abc" }, { sessionID: "[REDACTED]" }],
+  [
+    { ticket: "", token: null },
+    { ticket: "", token: null }
+  ],
+  [
+    { user: "u1test", pgtUrl: "https://app" },
+    { user: "u1test", pgtUrl: "https://app" }
+  ],
+  [{ message: "bad ST-1-abcdef" }, { message: "bad ST-1-ab****" }],
+  [
+    ["ST-1-abcdef", 1, null],
+    ["ST-1-ab****", 1, null]
+  ],
+  [
+    { nested: { deeper: { pgtIou: "x" } } },
+    { nested: { deeper: { pgtIou: "[REDACTED]" } } }
+  ],
+  ["ST-1-abcdef", "ST-1-ab****"],
+  [42, 42],
+  [undefined, undefined]
+];
+
+describe("redact", () => {
+  describe("redactString", () => {
+    strings.forEach(entry => {
+      it("redacts " + JSON.stringify(entry[0]), () => {
+        assert.strictEqual(redact.redactString(entry[0]), entry[1]);
+      });
+    });
+
+    it("changes nothing when redacting twice", () => {
+      strings.forEach(entry => {
+        assert.strictEqual(redact.redactString(entry[1]), entry[1]);
+      });
+    });
+
+    it("leaves other values alone", () => {
+      assert.strictEqual(redact.redactString(undefined), undefined);
+      assert.strictEqual(redact.redactString(12), 12);
+    });
+  });
+
+  describe("redactValue", () => {
+    values.forEach(entry => {
+      it("redacts " + JSON.stringify(entry[0]), () => {
+        assert.deepStrictEqual(redact.redactValue(entry[0]), entry[1]);
+      });
+    });
+
+    it("changes nothing when redacting twice", () => {
+      values.forEach(entry => {
+        assert.deepStrictEqual(redact.redactValue(entry[1]), entry[1]);
+      });
+    });
+
+    it("does not change the value", () => {
+      const value = { ticket: "ST-1-abcdef", list: ["PT-1-abcdef"] };
+      redact.redactValue(value);
+      assert.deepStrictEqual(value, {
+        ticket: "ST-1-abcdef",
+        list: ["PT-1-abcdef"]
+      });
+    });
+
+    it("keeps dates, regular expressions and buffers", () => {
+      const value = {
+        at: new Date(0),
+        pattern: /ST-1-abcdef/,
+        body: Buffer.from("x")
+      };
+      const copy = redact.redactValue(value);
+      assert.strictEqual(copy.at, value.at);
+      assert.strictEqual(copy.pattern, value.pattern);
+      assert.strictEqual(copy.body, value.body);
+    });
+
+    it("replaces circular references", () => {
+      const value = { user: "u1test", list: [] };
+      value.self = value;
+      value.list.push(value);
+
+      assert.deepStrictEqual(redact.redactValue(value), {
+        user: "u1test",
+        list: ["[Circular]"],
+        self: "[Circular]"
+      });
+    });
+
+    it("keeps values seen twice that are not circular", () => {
+      const shared = { ticket: "ST-1-abcdef" };
+      assert.deepStrictEqual(redact.redactValue({ a: shared, b: shared }), {
+        a: { ticket: "ST-1-ab****" },
+        b: { ticket: "ST-1-ab****" }
+      });
+    });
+
+    it("stops at a depth of 6", () => {
+      const value = { a: { b: { c: { d: { e: { f: { g: { h: 1 } } } } } } } };
+      assert.deepStrictEqual(redact.redactValue(value), {
+        a: { b: { c: { d: { e: { f: { g: "[Object]" } } } } } }
+      });
+    });
+
+    it("redacts errors into errors of the same class", () => {
+      const err = new TypeError("Validation of ST-1-abcdef failed");
+      err.ticket = "ST-1-abcdef";
+      err.pgtIou = "abcdef";
+      err.details = { response: "<cas:user>PGT-1-abcdef</cas:user>" };
+
+      const copy = redact.redactValue(err);
+      assert.ok(copy instanceof TypeError);
+      assert.strictEqual(copy.message, "Validation of ST-1-ab**** failed");
+      assert.ok(copy.stack.indexOf("ST-1-ab****") > 0);
+      assert.strictEqual(copy.ticket, "ST-1-ab****");
+      assert.strictEqual(copy.pgtIou, "[REDACTED]");
+      assert.deepStrictEqual(copy.details, {
+        response: "<cas:user>PGT-1-ab****</cas:user>"
+      });
+      assert.strictEqual(
+        Object.prototype.propertyIsEnumerable.call(copy, "message"),
+        false
+      );
+      assert.strictEqual(err.ticket, "ST-1-abcdef");
+    });
+
+    it("redacts the cause of an error", () => {
+      const err = new Error("outer");
+      err.cause = new Error("inner ST-1-abcdef");
+      assert.strictEqual(
+        redact.redactValue(err).cause.message,
+        "inner ST-1-ab****"
+      );
+    });
+  });
+
+  describe("CasError", () => {
+    it("masks tickets in the message, ticket and response", () => {
+      const err = new errors.CasValidationError(
+        "Ticket ST-1-abcdef not recognized",
+        {
+          code: "INVALID_TICKET",
+          ticket: "ST-1-abcdef",
+          service: "https://app.kth.se/app/login",
+          response:
+            "<cas:authenticationFailure code='INVALID_TICKET'>" +
+            "Ticket ST-1-abcdef not recognized</cas:authenticationFailure>"
+        }
+      );
+
+      assert.strictEqual(err.message, "Ticket ST-1-ab**** not recognized");
+      assert.strictEqual(err.ticket, "ST-1-ab****");
+      assert.strictEqual(err.service, "https://app.kth.se/app/login");
+      assert.strictEqual(err.response.indexOf("ST-1-abcdef"), -1);
+      assert.ok(err.response.indexOf("ST-1-ab****") > 0);
+      assert.strictEqual(err.stack.indexOf("ST-1-abcdef"), -1);
+    });
+
+    it("changes nothing when redacted again", () => {
+      const err = new errors.CasProxyError("PGT-1-abcdef unknown", {
+        ticket: "PGT-1-abcdef"
+      });
+      const copy = redact.redactValue(err);
+      assert.ok(copy instanceof errors.CasProxyError);
+      assert.strictEqual(copy.message, err.message);
+      assert.strictEqual(copy.ticket, err.ticket);
+    });
+  });
+});
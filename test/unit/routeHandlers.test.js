@@ -0,0 +1,64 @@
+"use strict";
+
+const assert = require("assert");
+const passport = require("passport");
+const PassportStrategy = require("passport-strategy").Strategy;
+const routeHandlers = require("../../routeHandlers");
+
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Stands in for the cas strategy, logs in u1test with the given info.
+ */
+function useCasResult(info) {
+  const strategy = new PassportStrategy();
+  strategy.authenticate = function() {
+    this.success("u1test", info);
+  };
+  passport.use("cas", strategy);
+}
+
+function runLoginHandler(req) {
+  const handlers = routeHandlers({
+    casLoginUri: "/app/login",
+    casGatewayUri: "/app/loginGateway",
+    proxyPrefixPath: "/app",
+    logger: logger
+  });
+  req = Object.assign(
+    { query: {}, session: {}, logIn: (user, done) => done() },
+    req
+  );
+
+  return new Promise((resolve, reject) => {
+    handlers.authLoginHandler(req, { locals: {} }, err =>
+      err ? reject(err) : resolve(req)
+    );
+  });
+}
+
+describe("routeHandlers", () => {
+  describe("authLoginHandler", () => {
+    after(() => passport.unuse("cas"));
+
+    it("records a renewed login", async () => {
+      useCasResult({ user: "u1test", renew: true });
+      const req = await runLoginHandler({});
+      assert.ok(Date.now() - req.session.casFreshLoginAt < 1000);
+    });
+
+    it("does not take renew=true in the query for a renewed login", async () => {
+      useCasResult({ user: "u1test" });
+      const req = await runLoginHandler({
+        query: { renew: "true" },
+        session: { casFreshLoginAt: Date.now() }
+      });
+      assert.strictEqual(req.session.casFreshLoginAt, undefined);
+    });
+  });
+});
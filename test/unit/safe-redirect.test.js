@@ -0,0 +1,177 @@
+"use strict";
+
+const assert = require("assert");
+const url = require("url");
+const safeRedirect = require("../../safe-redirect");
+const CasRedirectError = require("../../errors").CasRedirectError;
+
+const policy = safeRedirect.createRedirectPolicy({
+  pathPrefix: "/app",
+  allowedOrigins: ["https://www.kth.se"]
+});
+
+// return URL -> normalised URL
+const allowed = [
+  ["/app", "/app"],
+  ["/app/", "/app/"],
+  ["/app/page?x=1#top", "/app/page?x=1#top"],
+  ["/", "/"],
+  ["/app/a/../b", "/app/b"],
+  ["/%2e%2e/app", "/app"],
+  ["/app/%2F%2Fevil.com", "/app/%2F%2Fevil.com"],
+  ["/app/x?next=//evil.com", "/app/x?next=//evil.com"],
+  ["https://www.kth.se/x", "https://www.kth.se/x"]
+];
+
+// return URL -> reason in the error message
+const rejected = [
+  ["", "not a URL"],
+  ["//evil.com", "protocol-relative"],
+  ["///evil.com", "protocol-relative"],
+  [" //evil.com", "protocol-relative"],
+  ["/%2F/evil.com", "protocol-relative"],
+  ["/\\evil.com", "control character or backslash"],
+  ["\\\\evil.com", "control character or backslash"],
+  ["/%5Cevil.com", "encoded control character or backslash"],
+  ["/%5cevil.com", "encoded control character or backslash"],
+  ["/app/\r\nSet-Cookie:x", "control character or backslash"],
+  ["/app/%0d%0aSet-Cookie:x", "encoded control character or backslash"],
+  ["/app/%09", "encoded control character or backslash"],
+  ["/app/%00", "encoded control character or backslash"],
+  ["/app/%252e%252e/admin", "double encoded"],
+  // Intentionally rejected although harmless, any escape left after
+  // decoding once is treated as double encoding
+  ["/app/s?q=%2541", "double encoded"],
+  ["/app/%", "malformed escape"],
+  ["/app/%zz", "malformed escape"],
+  ["javascript:alert(1)", "scheme not allowed"],
+  ["JaVaScRiPt:alert(1)", "scheme not allowed"],
+  ["data:text/html,<script>alert(1)</script>", "scheme not allowed"],
+  ["https://user:pw@www.kth.se/", "credentials in URL"],
+  ["http:/evil.com", "not allowed by redirect policy"],
+  ["https:evil.com", "not allowed by redirect policy"],
+  ["http://evil.com/app", "not allowed by redirect policy"],
+  ["https://www.kth.se.evil.com/", "not allowed by redirect policy"],
+  ["http://www.kth.se/x", "not allowed by redirect policy"],
+  ["/app/../admin", "not allowed by redirect policy"],
+  ["/app/%2e%2e/admin", "not allowed by redirect policy"],
+  ["/appx", "not allowed by redirect policy"],
+  ["/" + "a".repeat(2048), "too long"]
+];
+
+describe("safe-redirect", () => {
+  describe("check", () => {
+    allowed.forEach(entry => {
+      it("allows " + JSON.stringify(entry[0]), () => {
+        assert.strictEqual(policy.check(entry[0]), entry[1]);
+        assert.strictEqual(policy.isAllowed(entry[0]), true);
+      });
+    });
+
+    rejected.forEach(entry => {
+      it("rejects " + JSON.stringify(entry[0].slice(0, 60)), () => {
+        assert.throws(
+          () => policy.check(entry[0]),
+          err =>
+            err instanceof CasRedirectError &&
+            err.code === "UNSAFE_REDIRECT" &&
+            err.message.slice(-entry[1].length - 2) === ": " + entry[1]
+        );
+        assert.strictEqual(policy.isAllowed(entry[0]), false);
+      });
+    });
+
+    it("rejects values that are not strings", () => {
+      [undefined, null, 42, {}, ["/app"]].forEach(value =>
+        assert.strictEqual(policy.isAllowed(value), false)
+      );
+    });
+  });
+
+  describe("createRedirectPolicy", () => {
+    it("allows any path on our own origin by default", () => {
+      const defaultPolicy = safeRedirect.createRedirectPolicy();
+      assert.strictEqual(defaultPolicy.check("/other/page"), "/other/page");
+      assert.strictEqual(defaultPolicy.isAllowed("https://www.kth.se/"), false);
+      assert.strictEqual(defaultPolicy.isAllowed("//evil.com"), false);
+    });
+
+    it("supports path-to-regexp patterns as the prefix", () => {
+      const patternPolicy = safeRedirect.createRedirectPolicy({
+        pathPrefix: "/app/:lang(sv|en)"
+      });
+      assert.strictEqual(patternPolicy.isAllowed("/app/sv/page"), true);
+      assert.strictEqual(patternPolicy.isAllowed("/app/de/page"), false);
+    });
+
+    it("asks the allow predicate with the parsed URL", () => {
+      const predicatePolicy = safeRedirect.createRedirectPolicy({
+        pathPrefix: "/app",
+        allow: parsed => parsed.hostname === "app.kth.se"
+      });
+      assert.strictEqual(
+        predicatePolicy.check("https://app.kth.se/x"),
+        "https://app.kth.se/x"
+      );
+      assert.strictEqual(predicatePolicy.isAllowed("https://evil.com/"), false);
+      assert.strictEqual(predicatePolicy.isAllowed("/other"), false);
+    });
+  });
+
+  describe("nextUrl", () => {
+    it("falls back without a nextUrl", () => {
+      assert.strictEqual(policy.nextUrl(undefined, "/app"), "/app");
+      assert.strictEqual(policy.nextUrl("", "/app"), "/app");
+    });
+
+    it("appends a bare query string to the fallback", () => {
+      assert.strictEqual(
+        policy.nextUrl("?a=b", "/app/login"),
+        "/app/login?a=b"
+      );
+    });
+
+    it("checks the nextUrl", () => {
+      assert.strictEqual(policy.nextUrl("/app/page", "/app"), "/app/page");
+      assert.throws(
+        () => policy.nextUrl("//evil.com", "/app"),
+        CasRedirectError
+      );
+    });
+  });
+
+  describe("sanitizeServiceUrl", () => {
+    it("removes a nextUrl the policy does not allow", () => {
+      const serviceUrl = url.parse(
+        "https://app.kth.se/app/login?nextUrl=%2F%2Fevil.com&a=b",
+        true
+      );
+      safeRedirect.sanitizeServiceUrl(serviceUrl, policy);
+      assert.strictEqual(
+        url.format(serviceUrl),
+        "https://app.kth.se/app/login?a=b"
+      );
+    });
+
+    it("keeps an allowed nextUrl", () => {
+      const serviceUrl = url.parse(
+        "https://app.kth.se/app/login?nextUrl=%2Fapp%2Fpage",
+        true
+      );
+      safeRedirect.sanitizeServiceUrl(serviceUrl, policy);
+      assert.strictEqual(
+        url.format(serviceUrl),
+        "https://app.kth.se/app/login?nextUrl=%2Fapp%2Fpage"
+      );
+    });
+  });
+
+  describe("loginRedirectUrl", () => {
+    it("encodes the nextUrl", () => {
+      assert.strictEqual(
+        safeRedirect.loginRedirectUrl("/app/login", "/app/page?x=1&y=2"),
+        "/app/login?nextUrl=%2Fapp%2Fpage%3Fx%3D1%26y%3D2"
+      );
+    });
+  });
+});
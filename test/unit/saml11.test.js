@@ -0,0 +1,140 @@
+"use strict";
+
+const assert = require("assert");
+const saml11 = require("../../saml11");
+const errors = require("../../errors");
+const samlResponse = require("./helpers").samlResponse;
+
+const ticket = "ST-1-abcdef";
+const service = "https://app.kth.se/app/login";
+
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+describe("saml11", () => {
+  describe("buildSamlRequest", () => {
+    it("sends the ticket as escaped AssertionArtifact", () => {
+      const request = saml11.buildSamlRequest("ST-1-<a&b>");
+      assert.ok(
+        request.indexOf(
+          "<samlp:AssertionArtifact>ST-1-&lt;a&amp;b&gt;</samlp:AssertionArtifact>"
+        ) > 0
+      );
+    });
+  });
+
+  describe("parseSamlResult", () => {
+    it("resolves to the result of a successful validation", async () => {
+      const notBefore = secondsFromNow(-5);
+      const notOnOrAfter = secondsFromNow(25);
+      const result = await saml11.parseSamlResult(
+        samlResponse({
+          notBefore: notBefore,
+          notOnOrAfter: notOnOrAfter,
+          attributes: { memberOf: ["app.users", "app.admins"] }
+        }),
+        ticket,
+        undefined,
+        service
+      );
+
+      assert.deepStrictEqual(result, {
+        status: true,
+        user: "u1test",
+        attributes: { memberOf: ["app.users", "app.admins"] },
+        pgtIou: undefined,
+        ticket: ticket,
+        proxies: [],
+        validFrom: new Date(notBefore),
+        validUntil: new Date(notOnOrAfter)
+      });
+    });
+
+    it("rejects a status other than Success", async () => {
+      await assert.rejects(
+        saml11.parseSamlResult(
+          samlResponse({
+            status: "samlp:RequestDenied",
+            message: "Ticket ST-1-abcdef not recognized"
+          }),
+          ticket,
+          undefined,
+          service
+        ),
+        err =>
+          err instanceof errors.CasValidationError &&
+          err.code === "RequestDenied" &&
+          err.message ===
+            "Validation failed [RequestDenied]: Ticket ST-1-ab**** not recognized" &&
+          err.ticket === "ST-1-ab****" &&
+          err.service === service
+      );
+    });
+
+    it("rejects a response that is not SAML", async () => {
+      await assert.rejects(
+        saml11.parseSamlResult("<html/>", ticket, undefined, service),
+        errors.CasResponseFormatError
+      );
+    });
+
+    // Clock skew of 60 seconds is allowed
+    // description, [NotBefore, NotOnOrAfter] in seconds from now, failure code
+    const windows = [
+      ["NotBefore 30s ahead", [30, undefined], null],
+      ["NotOnOrAfter 30s ago", [undefined, -30], null],
+      ["now within the window", [-60, 60], null],
+      ["NotBefore 90s ahead", [90, undefined], "ASSERTION_NOT_YET_VALID"],
+      ["NotOnOrAfter 90s ago", [undefined, -90], "ASSERTION_EXPIRED"],
+      ["a window that ended 90s ago", [-180, -90], "ASSERTION_EXPIRED"]
+    ];
+
+    windows.forEach(entry => {
+      const notBefore = entry[1][0];
+      const notOnOrAfter = entry[1][1];
+      const code = entry[2];
+      it((code ? "rejects " : "accepts ") + entry[0], async () => {
+        const validation = saml11.parseSamlResult(
+          samlResponse({
+            notBefore:
+              notBefore === undefined ? undefined : secondsFromNow(notBefore),
+            notOnOrAfter:
+              notOnOrAfter === undefined
+                ? undefined
+                : secondsFromNow(notOnOrAfter)
+          }),
+          ticket,
+          undefined,
+          service
+        );
+
+        if (!code) {
+          assert.strictEqual((await validation).user, "u1test");
+          return;
+        }
+        await assert.rejects(
+          validation,
+          err => err instanceof errors.CasValidationError && err.code === code
+        );
+      });
+    });
+
+    it("uses the given parser", async () => {
+      const parser = {
+        parseSamlResponse: xml => ({
+          user: xml,
+          attributes: {},
+          failure: null
+        })
+      };
+      const result = await saml11.parseSamlResult(
+        "u2test",
+        ticket,
+        parser,
+        service
+      );
+      assert.strictEqual(result.user, "u2test");
+    });
+  });
+});
@@ -0,0 +1,259 @@
+"use strict";
+
+const assert = require("assert");
+const createServiceUrlBuilder = require("../../service-url")
+  .createServiceUrlBuilder;
+
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+function request(remoteAddress, headers) {
+  return {
+    originalUrl: "/app/login",
+    headers: Object.assign({ host: "internal:3000" }, headers),
+    socket: { remoteAddress: remoteAddress }
+  };
+}
+
+// [description, builder options, request, expected base URL]
+const cases = [
+  [
+    "ignores forwarded headers by default",
+    {},
+    request("10.0.0.1", {
+      "x-forwarded-proto": "https",
+      "x-forwarded-host": "app.kth.se"
+    }),
+    "http://internal:3000"
+  ],
+  [
+    "uses serverBaseURL without looking at the headers",
+    { serverBaseURL: "https://app.kth.se/ignored/path", trustProxy: true },
+    request("10.0.0.1", { host: "evil.com", "x-forwarded-host": "evil.com" }),
+    "https://app.kth.se"
+  ],
+  [
+    "trusts an IPv4-mapped IPv6 peer in an IPv4 CIDR",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("::ffff:10.0.0.1", {
+      "x-forwarded-proto": "https",
+      "x-forwarded-host": "app.kth.se"
+    }),
+    "https://app.kth.se"
+  ],
+  [
+    "does not trust a peer outside the CIDRs",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("::ffff:192.168.0.1", { "x-forwarded-host": "app.kth.se" }),
+    "http://internal:3000"
+  ],
+  [
+    "trusts IPv6 CIDRs and single addresses",
+    { trustProxy: ["fd00::/8", "::1"] },
+    request("fd12:3456::1", { "x-forwarded-host": "app.kth.se" }),
+    "http://app.kth.se"
+  ],
+  [
+    "trusts a single IPv6 address",
+    { trustProxy: "::1" },
+    request("::1", { "x-forwarded-host": "app.kth.se" }),
+    "http://app.kth.se"
+  ],
+  [
+    "does not trust the neighbour of a single address",
+    { trustProxy: ["127.0.0.1"] },
+    request("127.0.0.2", { "x-forwarded-host": "app.kth.se" }),
+    "http://internal:3000"
+  ],
+  [
+    "takes the value of the trusted proxy, not a spoofed one before it",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("10.0.0.2", {
+      "x-forwarded-for": "198.51.100.7",
+      "x-forwarded-host": "evil.com, app.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "counts the trusted proxies in X-Forwarded-For",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("10.0.0.2", {
+      "x-forwarded-for": "198.51.100.7, 10.0.0.3",
+      "x-forwarded-host": "evil.com, app.kth.se, internal.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "stops counting at the first untrusted proxy",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("10.0.0.2", {
+      "x-forwarded-for": "10.0.0.4, 198.51.100.7",
+      "x-forwarded-host": "evil.com, app.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "trusts the nearest proxy with trustProxy 1",
+    { trustProxy: 1 },
+    request("198.51.100.1", {
+      "x-forwarded-proto": "http, https",
+      "x-forwarded-host": "evil.com, app.kth.se"
+    }),
+    "https://app.kth.se"
+  ],
+  [
+    "trusts the two nearest proxies with trustProxy 2",
+    { trustProxy: 2 },
+    request("198.51.100.1", {
+      "x-forwarded-host": "evil.com, app.kth.se, internal.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "uses the outermost value with trustProxy true",
+    { trustProxy: true },
+    request("198.51.100.1", {
+      "x-forwarded-host": "app.kth.se, internal.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "reads the Forwarded header",
+    { trustProxy: ["10.0.0.0/8"] },
+    request("10.0.0.2", {
+      forwarded:
+        'for=198.51.100.7;proto=http;host=evil.com, for="[2001:db8::1]";proto=https;host="app.kth.se"'
+    }),
+    "https://app.kth.se"
+  ],
+  [
+    "counts the trusted proxies in the Forwarded header",
+    { trustProxy: ["10.0.0.0/8", "2001:db8::/32"] },
+    request("10.0.0.2", {
+      forwarded:
+        'for=192.0.2.1;host=evil.com, for=198.51.100.7;proto=https;host=app.kth.se, for="[2001:db8::1]";host=internal.kth.se, for=10.0.0.3;host=internal.kth.se'
+    }),
+    "https://app.kth.se"
+  ],
+  [
+    "adds a trusted X-Forwarded-Prefix",
+    { trustProxy: 1 },
+    request("10.0.0.2", {
+      "x-forwarded-host": "www.kth.se",
+      "x-forwarded-prefix": "/app/"
+    }),
+    "http://www.kth.se/app"
+  ],
+  [
+    "ignores an X-Forwarded-Prefix with dot segments",
+    { trustProxy: 1 },
+    request("10.0.0.2", {
+      "x-forwarded-host": "www.kth.se",
+      "x-forwarded-prefix": "/app/../admin"
+    }),
+    "http://www.kth.se"
+  ],
+  [
+    "ignores an X-Forwarded-Prefix that is not a path",
+    { trustProxy: 1 },
+    request("10.0.0.2", {
+      "x-forwarded-host": "www.kth.se",
+      "x-forwarded-prefix": "//evil.com"
+    }),
+    "http://www.kth.se"
+  ],
+  [
+    "ignores other forwarded protocols",
+    { trustProxy: 1 },
+    request("10.0.0.2", {
+      "x-forwarded-proto": "javascript",
+      "x-forwarded-host": "app.kth.se"
+    }),
+    "http://app.kth.se"
+  ],
+  [
+    "keeps an allowed origin",
+    { allowedOrigins: ["https://www.kth.se", "http://app.kth.se"] },
+    request("10.0.0.2", { host: "app.kth.se" }),
+    "http://app.kth.se"
+  ],
+  [
+    "falls back to the first allowed origin for a spoofed Host",
+    { allowedOrigins: ["https://www.kth.se", "http://app.kth.se"] },
+    request("10.0.0.2", { host: "evil.com" }),
+    "https://www.kth.se"
+  ],
+  [
+    "falls back to the first allowed origin for an invalid Host",
+    { allowedOrigins: ["https://www.kth.se"] },
+    request("10.0.0.2", { host: "evil.com/path" }),
+    "https://www.kth.se"
+  ],
+  [
+    "falls back to the first allowed origin for a forwarded host",
+    { trustProxy: true, allowedOrigins: ["https://www.kth.se"] },
+    request("10.0.0.2", { "x-forwarded-host": "evil.com" }),
+    "https://www.kth.se"
+  ]
+];
+
+describe("service-url", () => {
+  describe("baseUrl", () => {
+    cases.forEach(entry => {
+      it(entry[0], () => {
+        const builder = createServiceUrlBuilder(
+          Object.assign({ logger: logger }, entry[1])
+        );
+        assert.strictEqual(builder.baseUrl(entry[2]), entry[3]);
+      });
+    });
+
+    it("throws on an invalid Host header without allowed origins", () => {
+      const builder = createServiceUrlBuilder({ logger: logger });
+      assert.throws(
+        () => builder.baseUrl(request("10.0.0.2", { host: "evil.com/path" })),
+        /invalid Host header/
+      );
+    });
+
+    it("throws on an invalid trustProxy address", () => {
+      assert.throws(
+        () => createServiceUrlBuilder({ trustProxy: ["10.0.0"] }),
+        TypeError
+      );
+    });
+  });
+
+  describe("serviceUrl", () => {
+    it("removes the ticket and useGateway parameters", () => {
+      const builder = createServiceUrlBuilder({
+        serverBaseURL: "https://app.kth.se",
+        logger: logger
+      });
+      const req = request("10.0.0.2");
+      req.originalUrl =
+        "/app/login?nextUrl=%2Fapp%2Fpage&ticket=ST-1-abc&useGateway=true";
+      assert.strictEqual(
+        builder.serviceUrl(req),
+        "https://app.kth.se/app/login?nextUrl=%2Fapp%2Fpage"
+      );
+    });
+
+    it("removes a nextUrl the redirect policy refuses", () => {
+      const builder = createServiceUrlBuilder({
+        serverBaseURL: "https://app.kth.se",
+        logger: logger
+      });
+      const req = request("10.0.0.2");
+      req.originalUrl = "/app/login?nextUrl=%2F%2Fevil.com";
+      assert.strictEqual(
+        builder.serviceUrl(req),
+        "https://app.kth.se/app/login"
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+"use strict";
+
+const assert = require("assert");
+const http = require("http");
+const net = require("net");
+const createTransport = require("../../transport").createTransport;
+
+/**
+ * Start a local server, resolves to its base URL. Its sockets are destroyed
+ * by close, also those that never got an answer.
+ */
+function listen(server) {
+  const sockets = new Set();
+  server.on("connection", socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  server.closeAll = () =>
+    new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    });
+
+  return new Promise(resolve =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve("http://127.0.0.1:" + server.address().port)
+    )
+  );
+}
+
+describe("transport", () => {
+  let server;
+  let requests;
+
+  beforeEach(() => {
+    requests = 0;
+  });
+
+  afterEach(() => (server ? server.closeAll() : undefined));
+
+  function createServer(handle) {
+    server = http.createServer((req, res) => {
+      requests++;
+      handle(req, res);
+    });
+    return listen(server);
+  }
+
+  it("resolves to the status, headers and body", async () => {
+    const base = await createServer((req, res) => {
+      res.setHeader("content-type", "text/plain");
+      res.end(req.method + " " + req.url);
+    });
+
+    const response = await createTransport({ keepAlive: false }).request({
+      url: base + "/serviceValidate?ticket=ST-1"
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers["content-type"], "text/plain");
+    assert.strictEqual(response.body, "GET /serviceValidate?ticket=ST-1");
+  });
+
+  it("fails without retrying when the server does not answer in time", async () => {
+    const base = await createServer(() => {});
+
+    await assert.rejects(
+      createTransport({ timeout: 50, retryDelay: 1 }).request({ url: base }),
+      err => err.code === "ERESPONSETIMEDOUT" && err.retryable === false
+    );
+    assert.strictEqual(requests, 1);
+  });
+
+  it("fails on responses larger than maxResponseSize", async () => {
+    const base = await createServer((req, res) => res.end("x".repeat(2000)));
+
+    await assert.rejects(
+      createTransport({ maxResponseSize: 1000 }).request({ url: base }),
+      err => err.code === "ERESPONSETOOLARGE"
+    );
+  });
+
+  it("retries a connection that cannot be established in time", async () => {
+    let connections = 0;
+    const agent = new http.Agent();
+    // A socket that never connects
+    agent.createConnection = () => {
+      connections++;
+      const socket = new net.Socket();
+      socket.connecting = true;
+      return socket;
+    };
+
+    await assert.rejects(
+      createTransport({
+        agent: agent,
+        connectTimeout: 20,
+        retries: 1,
+        retryDelay: 1
+      }).request({ url: "http://127.0.0.1:1/" }),
+      err => err.code === "ECONNECTTIMEDOUT" && err.retryable === true
+    );
+    assert.strictEqual(connections, 2);
+  });
+
+  it("retries refused connections", async () => {
+    const base = await createServer(() => {});
+    await server.closeAll();
+    server = null;
+
+    await assert.rejects(
+      createTransport({ retries: 1, retryDelay: 1 }).request({ url: base }),
+      err => err.code === "ECONNREFUSED" && err.retryable === true
+    );
+  });
+
+  it("does not retry a reset of a new connection", async () => {
+    const base = await createServer(req => req.socket.destroy());
+
+    await assert.rejects(
+      createTransport({ keepAlive: false, retryDelay: 1 }).request({
+        url: base
+      }),
+      err => err.code === "ECONNRESET" && err.retryable === false
+    );
+    assert.strictEqual(requests, 1);
+  });
+
+  it("retries a reset of a reused keep-alive connection", async () => {
+    const base = await createServer((req, res) => {
+      if (requests === 2) {
+        return req.socket.destroy();
+      }
+      res.end("ok " + requests);
+    });
+    const transport = createTransport({ retryDelay: 1 });
+
+    assert.strictEqual((await transport.request({ url: base })).body, "ok 1");
+    assert.strictEqual((await transport.request({ url: base })).body, "ok 3");
+  });
+
+  describe("through a proxy", () => {
+    function createProxy(onConnect) {
+      server = http.createServer(() => {});
+      server.on("connect", (req, socket) => {
+        requests++;
+        onConnect(req, socket);
+      });
+      return listen(server);
+    }
+
+    it("fails when the proxy does not answer CONNECT in time", async () => {
+      const proxy = await createProxy(() => {});
+
+      await assert.rejects(
+        createTransport({
+          proxy: proxy,
+          connectTimeout: 50,
+          retries: 0
+        }).request({ url: "https://login.kth.se/serviceValidate" }),
+        err => err.code === "ECONNECTTIMEDOUT" && err.retryable === true
+      );
+      assert.strictEqual(requests, 1);
+    });
+
+    it("fails when the proxy refuses CONNECT", async () => {
+      const proxy = await createProxy((req, socket) =>
+        socket.end("HTTP/1.1 403 Forbidden\r\n\r\n")
+      );
+
+      await assert.rejects(
+        createTransport({ proxy: proxy, retries: 0 }).request({
+          url: "https://login.kth.se/serviceValidate"
+        }),
+        err => err.code === "EPROXYCONNECT"
+      );
+      assert.strictEqual(requests, 1);
+    });
+  });
+});
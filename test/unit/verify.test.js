@@ -0,0 +1,159 @@
+"use strict";
+
+const assert = require("assert");
+const createVerifier = require("../../verify").createVerifier;
+
+const req = { url: "/app/login" };
+const result = { user: "u1test", attributes: { mail: "u1test@kth.se" } };
+
+/**
+ * Run the verifier like a strategy does, resolves to the calls of done
+ * once verify has settled.
+ */
+function runVerifier(verify, options) {
+  const calls = [];
+  createVerifier(verify, options)(req, result, (err, user, info) =>
+    calls.push({ err: err, user: user, info: info })
+  );
+  return new Promise(resolve => setImmediate(() => resolve(calls)));
+}
+
+describe("verify", () => {
+  describe("createVerifier", () => {
+    it("calls a Node style verify with the result and done", async () => {
+      const calls = await runVerifier((validation, done) => {
+        assert.strictEqual(validation, result);
+        done(null, validation.user, { role: "admin" });
+      });
+      assert.deepStrictEqual(calls, [
+        { err: null, user: "u1test", info: { role: "admin" } }
+      ]);
+    });
+
+    it("passes the request first with passReqToCallback", async () => {
+      const calls = await runVerifier(
+        (request, validation, done) => {
+          assert.strictEqual(request, req);
+          assert.strictEqual(validation, result);
+          done(null, validation.user);
+        },
+        { passReqToCallback: true }
+      );
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].user, "u1test");
+    });
+
+    it("uses the validation result as info when none is given", async () => {
+      const calls = await runVerifier((validation, done) =>
+        done(null, validation.user)
+      );
+      assert.strictEqual(calls[0].info, result);
+    });
+
+    it("does not add info to a failed verification", async () => {
+      const calls = await runVerifier((validation, done) => done(null, false));
+      assert.deepStrictEqual(calls, [
+        { err: null, user: false, info: undefined }
+      ]);
+    });
+
+    it("calls an async verify with the result and the request", async () => {
+      const calls = await runVerifier(async (validation, request) => {
+        assert.strictEqual(validation, result);
+        assert.strictEqual(request, req);
+        return { user: validation.user, info: { role: "admin" } };
+      });
+      assert.deepStrictEqual(calls, [
+        { err: null, user: "u1test", info: { role: "admin" } }
+      ]);
+    });
+
+    it("fails when an async verify resolves to false", async () => {
+      const calls = await runVerifier(async () => false);
+      assert.deepStrictEqual(calls, [
+        { err: null, user: false, info: undefined }
+      ]);
+    });
+
+    it("passes on the rejection of an async verify", async () => {
+      const err = new Error("no directory");
+      const calls = await runVerifier(async () => {
+        throw err;
+      });
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].err, err);
+    });
+
+    it("waits for a plain function returning a promise", async () => {
+      const calls = await runVerifier(validation =>
+        Promise.resolve({ user: validation.user })
+      );
+      assert.deepStrictEqual(calls, [
+        { err: null, user: "u1test", info: result }
+      ]);
+    });
+
+    it("leaves the outcome to done when the promise resolves to undefined", async () => {
+      const calls = await runVerifier((validation, done) =>
+        Promise.resolve().then(() => done(null, validation.user))
+      );
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].user, "u1test");
+    });
+
+    it("calls a plain function with the request with promiseVerify", async () => {
+      const calls = await runVerifier(
+        (validation, request) => {
+          assert.strictEqual(request, req);
+          return Promise.resolve({ user: validation.user });
+        },
+        { promiseVerify: true }
+      );
+      assert.strictEqual(calls[0].user, "u1test");
+    });
+
+    it("fails when a promiseVerify function returns nothing", async () => {
+      const calls = await runVerifier(() => undefined, {
+        promiseVerify: true
+      });
+      assert.deepStrictEqual(calls, [
+        { err: null, user: false, info: undefined }
+      ]);
+    });
+
+    it("passes on an error thrown by verify", async () => {
+      const err = new Error("bug");
+      const calls = await runVerifier(() => {
+        throw err;
+      });
+      assert.deepStrictEqual(calls, [
+        { err: err, user: undefined, info: undefined }
+      ]);
+    });
+
+    it("gives a rejection without a reason an error", async () => {
+      const calls = await runVerifier(() => Promise.reject());
+      assert.ok(calls[0].err instanceof Error);
+    });
+
+    it("calls done only once", async () => {
+      const calls = await runVerifier((validation, done) => {
+        done(null, validation.user);
+        done(null, false);
+        throw new Error("after done");
+      });
+      assert.deepStrictEqual(calls, [
+        { err: null, user: "u1test", info: result }
+      ]);
+    });
+
+    it("ignores done when the returned promise decided", async () => {
+      const calls = await runVerifier((validation, done) => {
+        setImmediate(() => done(null, false));
+        return Promise.resolve({ user: validation.user });
+      });
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].user, "u1test");
+    });
+  });
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * Remembers which session a CAS service ticket was validated into, so that
+ * a Single Logout request from the CAS server (which only knows the ticket)
+ * can be mapped back to the session that should be destroyed.
+ *
+ * Any object with the same promise returning get/set/delete methods can be
+ * used in place of the in-memory index, e.g. when running several instances
+ * behind a load balancer.
+ */
+const MemoryStore = require("./stores").MemoryStore;
+
+// seconds, entries are of no use once the session has ended
+const DEFAULT_TTL = 8 * 3600;
+
+/**
+ * In-memory index, a MemoryStore with a TTL near the session lifetime.
+ *
+ * Options:
+ *   ttl  seconds to remember a ticket, default 8 hours
+ *   max  max number of tickets, default 10000
+ */
+function MemoryTicketSessionIndex(options) {
+  options = options || {};
+  this.store = new MemoryStore({
+    ttl: options.ttl || DEFAULT_TTL,
+    max: options.max
+  });
+}
+
+MemoryTicketSessionIndex.prototype.get = function(ticket) {
+  return this.store.get(ticket);
+};
+
+MemoryTicketSessionIndex.prototype.set = function(ticket, sessionId) {
+  return this.store.set(ticket, sessionId);
+};
+
+MemoryTicketSessionIndex.prototype.delete = function(ticket) {
+  return this.store.delete(ticket);
+};
+
+const defaultIndex = new MemoryTicketSessionIndex();
+
+module.exports = {
+  MemoryTicketSessionIndex: MemoryTicketSessionIndex,
+  defaultIndex: defaultIndex
+};
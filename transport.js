@@ -0,0 +1,255 @@
+"use strict";
+
+/**
+ * HTTP(S) transport used for all requests to the CAS server: ticket
+ * validation in the strategies and getProxyTicket.
+ *
+ * Options:
+ *   timeout         ms without response data before the request fails, default 10000
+ *   connectTimeout  ms to establish the connection, default 5000
+ *   retries         number of retries on connection errors, default 2
+ *   retryDelay      ms before the first retry, doubled for each retry, default 100
+ *   ca              CA bundle (string, Buffer or array of them) for HTTPS
+ *   agent           custom http(s).Agent, replaces ca/proxy/keepAlive/maxSockets
+ *   proxy           outbound HTTP proxy, e.g. "http://proxy.example.com:3128"
+ *   keepAlive       reuse connections, default true
+ *   maxSockets      max concurrent connections per host, default Infinity
+ *   maxResponseSize max response size in bytes, default 1000000
+ *
+ * Only errors where no response can have been produced by the CAS server are
+ * retried (refused or unreachable connections, connect timeouts and resets
+ * of reused keep-alive connections), since a validation request that reached
+ * the server has consumed the ticket.
+ */
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const url = require("url");
+
+const RETRYABLE_ERRORS = [
+  "ECONNREFUSED",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+  "ECONNECTTIMEDOUT"
+];
+
+function _error(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Agent that tunnels HTTPS connections through an HTTP proxy with CONNECT.
+ */
+function _createTunnelAgent(proxy, agentOptions, connectTimeout) {
+  const agent = new https.Agent(agentOptions);
+
+  agent.createConnection = function(options, callback) {
+    const headers = { host: options.host + ":" + options.port };
+    if (proxy.auth) {
+      headers["proxy-authorization"] =
+        "Basic " + Buffer.from(proxy.auth).toString("base64");
+    }
+
+    const connectRequest = http.request({
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      method: "CONNECT",
+      path: options.host + ":" + options.port,
+      headers: headers
+    });
+
+    // The proxy may accept the connection but never answer the CONNECT
+    const connectTimer = setTimeout(() => {
+      connectRequest.destroy(
+        _error(
+          "Proxy CONNECT timeout after " + connectTimeout + "ms",
+          "ECONNECTTIMEDOUT"
+        )
+      );
+    }, connectTimeout);
+
+    connectRequest.once("connect", (response, socket) => {
+      clearTimeout(connectTimer);
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        return callback(
+          _error(
+            "Proxy refused CONNECT with status " + response.statusCode,
+            "EPROXYCONNECT"
+          )
+        );
+      }
+
+      callback(
+        null,
+        tls.connect(
+          Object.assign({}, options, {
+            socket: socket,
+            servername: options.servername || options.host
+          })
+        )
+      );
+    });
+    connectRequest.once("error", err => {
+      clearTimeout(connectTimer);
+      callback(err);
+    });
+    connectRequest.end();
+  };
+
+  return agent;
+}
+
+function createTransport(options) {
+  options = options || {};
+
+  const timeout = options.timeout || 10000;
+  const connectTimeout = options.connectTimeout || 5000;
+  const retries = options.retries !== undefined ? options.retries : 2;
+  const retryDelay =
+    options.retryDelay !== undefined ? options.retryDelay : 100;
+  const maxResponseSize = options.maxResponseSize || 1e6;
+  const proxy = options.proxy ? url.parse(options.proxy) : null;
+
+  const agentOptions = {
+    keepAlive: options.keepAlive !== false,
+    maxSockets: options.maxSockets || Infinity
+  };
+
+  const httpAgent = options.agent || new http.Agent(agentOptions);
+  let httpsAgent = options.agent;
+  if (!httpsAgent) {
+    const httpsAgentOptions = Object.assign({ ca: options.ca }, agentOptions);
+    httpsAgent = proxy
+      ? _createTunnelAgent(proxy, httpsAgentOptions, connectTimeout)
+      : new https.Agent(httpsAgentOptions);
+  }
+
+  function _requestOnce(target, request) {
+    return new Promise((resolve, reject) => {
+      const isHttps = target.protocol === "https:";
+      const requestOptions = {
+        method: request.method || "GET",
+        host: target.hostname,
+        port: target.port,
+        path: target.path,
+        headers: Object.assign({}, request.headers),
+        agent: isHttps ? httpsAgent : httpAgent
+      };
+
+      // Plain HTTP through a proxy sends the absolute URL to the proxy
+      if (proxy && !isHttps) {
+        requestOptions.host = proxy.hostname;
+        requestOptions.port = proxy.port || 80;
+        requestOptions.path = url.format(target);
+        requestOptions.headers.host = target.host;
+        if (proxy.auth) {
+          requestOptions.headers["proxy-authorization"] =
+            "Basic " + Buffer.from(proxy.auth).toString("base64");
+        }
+      }
+
+      if (request.body !== undefined) {
+        requestOptions.headers["content-length"] = Buffer.byteLength(
+          request.body
+        );
+      }
+
+      const client = isHttps ? https : http;
+      let connectTimer = null;
+
+      const req = client.request(requestOptions, response => {
+        response.setEncoding("utf8");
+        let body = "";
+        response.on("data", chunk => {
+          body += chunk;
+          // Destroying the request after the response came reaches no error
+          // listener, so reject here
+          if (body.length > maxResponseSize) {
+            reject(_error("Response too large", "ERESPONSETOOLARGE"));
+            response.destroy();
+          }
+        });
+        response.on("end", () =>
+          resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: body
+          })
+        );
+        response.on("error", reject);
+      });
+
+      req.on("socket", socket => {
+        if (!socket.connecting) {
+          return;
+        }
+        connectTimer = setTimeout(() => {
+          req.destroy(
+            _error(
+              "Connect timeout after " + connectTimeout + "ms",
+              "ECONNECTTIMEDOUT"
+            )
+          );
+        }, connectTimeout);
+        socket.once("connect", () => clearTimeout(connectTimer));
+      });
+
+      req.setTimeout(timeout, () => {
+        req.destroy(
+          _error("No response within " + timeout + "ms", "ERESPONSETIMEDOUT")
+        );
+      });
+
+      req.on("error", err => {
+        clearTimeout(connectTimer);
+        // A reused keep-alive socket may have been closed by the server before
+        // the request was sent. Any other reset may come after the server got
+        // the request, i.e. after the ticket was consumed.
+        err.retryable =
+          RETRYABLE_ERRORS.indexOf(err.code) >= 0 ||
+          (err.code === "ECONNRESET" && req.reusedSocket === true);
+        reject(err);
+      });
+
+      req.end(request.body);
+    });
+  }
+
+  /**
+   * Send a request, resolves to { statusCode, headers, body }.
+   *
+   * @param request - { url, method, headers, body }
+   */
+  function request(request) {
+    const target = url.parse(request.url);
+
+    function attempt(retriesLeft, delay) {
+      return _requestOnce(target, request).catch(err => {
+        if (retriesLeft <= 0 || err.retryable !== true) {
+          throw err;
+        }
+
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() =>
+          attempt(retriesLeft - 1, delay * 2)
+        );
+      });
+    }
+
+    return attempt(retries, retryDelay);
+  }
+
+  return {
+    request: request
+  };
+}
+
+const defaultTransport = createTransport();
+
+module.exports = {
+  createTransport: createTransport,
+  defaultTransport: defaultTransport
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+const crypto = require("crypto");
+const MemoryStore = require("./stores").MemoryStore;
+
+/**
+ * Cache of successful ticket validations, keyed on ticket + service, so that
+ * an API can accept the same proxy ticket repeatedly within its lifetime
+ * without asking the CAS server every time.
+ *
+ * Options:
+ *   ttl    seconds a validation is cached, default 60
+ *   max    max number of cached validations in the default memory store
+ *   store  any store with get/set/delete, see stores.js
+ *
+ * The store only sees a hash of the ticket and service. A failing store is
+ * counted in stats().errors and treated as a cache miss.
+ */
+function ValidationCache(options) {
+  options = options || {};
+  this.ttl = options.ttl || 60;
+  this.store =
+    options.store || new MemoryStore({ ttl: this.ttl, max: options.max });
+  this.hits = 0;
+  this.misses = 0;
+  this.errors = 0;
+}
+
+ValidationCache.prototype._key = function(ticket, service) {
+  return crypto
+    .createHash("sha256")
+    .update(ticket + "\n" + service)
+    .digest("hex");
+};
+
+/**
+ * Resolves to the cached validation result, or undefined.
+ */
+ValidationCache.prototype.get = function(ticket, service) {
+  return this.store
+    .get(this._key(ticket, service))
+    .then(value => {
+      if (value === undefined) {
+        this.misses += 1;
+        return undefined;
+      }
+
+      this.hits += 1;
+      return JSON.parse(value);
+    })
+    .catch(() => {
+      this.errors += 1;
+      this.misses += 1;
+      return undefined;
+    });
+};
+
+ValidationCache.prototype.set = function(ticket, service, result) {
+  return this.store
+    .set(this._key(ticket, service), JSON.stringify(result), this.ttl)
+    .catch(() => {
+      this.errors += 1;
+    });
+};
+
+/**
+ * Counters suitable for exposing as metrics.
+ */
+ValidationCache.prototype.stats = function() {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    errors: this.errors
+  };
+};
+
+module.exports = {
+  ValidationCache: ValidationCache
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Calls the verify function given to a strategy, which can be Node style or
+ * promise based:
+ *
+ *   verify(result, done)              Node style
+ *   verify(req, result, done)         Node style with passReqToCallback
+ *   async verify(result, req)         resolves to { user, info } or false,
+ *                                     rejects on error
+ *
+ * Whatever verify returns is checked, a promise (any thenable) is waited for
+ * and its outcome used like that of an async function. A plain function is
+ * called Node style, so it gets done rather than req as the second argument
+ * unless the promiseVerify option is set. A promise resolving to undefined
+ * leaves the outcome to done.
+ *
+ * When a user is given without info, info is the validation result.
+ */
+
+function _isAsyncFunction(fn) {
+  return fn.constructor && fn.constructor.name === "AsyncFunction";
+}
+
+function _isThenable(value) {
+  return (
+    value !== null &&
+    (typeof value === "object" || typeof value === "function") &&
+    typeof value.then === "function"
+  );
+}
+
+/**
+ * Wrap verify into a function(req, result, done) that always calls
+ * done(err, user, info) exactly once, also when verify throws.
+ *
+ * @param verify - the verify function of the strategy
+ * @param options - the strategy options, reads passReqToCallback and promiseVerify
+ */
+function createVerifier(verify, options) {
+  options = options || {};
+
+  // Only decides the arguments, the outcome is read from what verify returns
+  const promiseArguments =
+    options.promiseVerify === true || _isAsyncFunction(verify);
+  const passReqToCallback = options.passReqToCallback === true;
+
+  return function verifyResult(req, result, done) {
+    let called = false;
+    const once = (err, user, info) => {
+      if (called) {
+        return;
+      }
+      called = true;
+      done(err, user, user && info === undefined ? result : info);
+    };
+
+    let returned;
+    try {
+      if (promiseArguments) {
+        returned = verify(result, req);
+      } else if (passReqToCallback) {
+        returned = verify(req, result, once);
+      } else {
+        returned = verify(result, once);
+      }
+    } catch (err) {
+      return once(err);
+    }
+
+    if (!promiseArguments && !_isThenable(returned)) {
+      return;
+    }
+
+    Promise.resolve(returned).then(
+      outcome => {
+        if (outcome === undefined && !promiseArguments) {
+          return;
+        }
+        return outcome
+          ? once(null, outcome.user, outcome.info)
+          : once(null, false);
+      },
+      err => once(err || new Error("verify rejected without an error"))
+    );
+  };
+}
+
+module.exports = {
+  createVerifier: createVerifier
+};